@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+// csv2json: the app's validation and export, for scripts and CI.
+//
+//   csv2json input.csv --schema schema.json --out out.json --errors errors.csv --select a,b,c
+//   cat input.csv | csv2json --schema schema.json > out.json
+//
+// Exit codes: 0 all rows valid, 1 validation failed, 2 usage or I/O error.
+
+import fs from 'node:fs'
+import { Transform } from 'node:stream'
+import { parseArgs } from 'node:util'
+import {
+  convertRows,
+  dateFormatSuggestions,
+  detectEncoding,
+  encodingWarnings,
+  errorsCSV,
+  ERROR_CODES,
+  EXPORT_FORMATS,
+  exportKeys,
+  findKeyCollisions,
+  findPathConflicts,
+  importSchema,
+  inferSchemaFromData,
+  KEY_POLICIES,
+  outputColumns,
+  parseCSV,
+  parseReference,
+  partitionRows,
+  quarantineCSV,
+  referenceName,
+  resolveReferences,
+  scanText,
+  schemaForHeaders,
+  SQL_DIALECTS,
+  validateRows,
+} from '../src/core/index.js'
+
+const USAGE = `Usage: csv2json [input.csv] [options]
+
+Reads CSV from the input file, or stdin when omitted or "-". The whole
+input is held in memory before converting, so very large files need
+splitting first.
+
+Options:
+  --schema <file>       schema: the app's field array, JSON Schema or Table Schema
+  --reference <name=file>
+                        reference CSV/JSON for foreign keys (repeatable); the name
+                        defaults to the file name, e.g. customers.csv -> customers
+  --out <file>          output file (default: stdout)
+  --errors <file>       write one line per validation error as CSV
+  --quarantine <file>   write invalid rows (plus an _errors column) as CSV;
+                        only valid rows then go to --out
+  --select <a,b,c>      columns to export, in this order
+  --format <name>       ${Object.keys(EXPORT_FORMATS).join(', ')} (default: json)
+  --key-column <name>   key column for --format keyed
+  --table <name>        table for --format sql (default: data)
+  --dialect <name>      ${Object.keys(SQL_DIALECTS).join(', ')} for --format sql (default: postgres)
+  --root <name>         root element for --format xml (default: rows)
+  --row <name>          row element for --format xml (default: row)
+  --delimiter <char>    input delimiter (default: detected; "\t" for tab)
+  --encoding <name>     input encoding, e.g. utf-8, windows-1252, utf-16le
+                        (default: detected from the first bytes)
+  --headerless          the first row is data; columns are named column_1…n
+  --skip-rows <n>       skip n lines before the header (title rows)
+  --comments <prefix>   skip lines starting with prefix, e.g. "#"
+  --quote <char>        quote character (default: ")
+  --escape <char>       escape character inside quotes (default: the quote)
+  --trim                trim whitespace around headers and values
+  --untyped             keep every value as text instead of applying schema types
+  --omit-empty          leave empty cells out instead of writing null
+  --nested              build nested objects from dot paths and field paths
+  --keys <policy>       JSON key naming: ${Object.keys(KEY_POLICIES).join(', ')} (default: asis)
+  --suffix-keys         number keys that would collide (notes, notes_2)
+  --infer               print a schema inferred from the data and exit
+  --allow-errors        export and exit 0 even when rows fail validation
+  -h, --help            show this help`
+
+function fail(message) {
+  process.stderr.write(`csv2json: ${message}\n`)
+  process.exit(2)
+}
+
+function readJSON(path, what) {
+  try {
+    return JSON.parse(fs.readFileSync(path, 'utf8'))
+  } catch (err) {
+    fail(`could not read ${what} ${path}: ${err.message}`)
+  }
+}
+
+function write(path, text) {
+  if (!path || path === '-') process.stdout.write(text.endsWith('\n') ? text : `${text}\n`)
+  else fs.writeFileSync(path, text)
+}
+
+async function readReferences(specs) {
+  const references = {}
+  for (const spec of specs) {
+    const eq = spec.indexOf('=')
+    const path = eq === -1 ? spec : spec.slice(eq + 1)
+    const name = eq === -1 ? referenceName(path) : spec.slice(0, eq)
+    try {
+      references[name] = await parseReference(fs.readFileSync(path, 'utf8'), path)
+    } catch (err) {
+      fail(`could not read reference ${path}: ${err.message}`)
+    }
+  }
+  return references
+}
+
+// Decodes the input as `state.encoding`, or as detected from its first
+// chunk, tallying likely decoding problems into `state.issues`.
+function decodeInput(input, state) {
+  let decoder = state.encoding ? new TextDecoder(state.encoding) : null
+  const push = (text, done) => {
+    scanText(text, state.issues)
+    done(null, text)
+  }
+  return input.pipe(new Transform({
+    transform(chunk, _enc, done) {
+      if (!decoder) {
+        state.encoding = detectEncoding(chunk).encoding
+        decoder = new TextDecoder(state.encoding)
+      }
+      push(decoder.decode(chunk, { stream: true }), done)
+    },
+    flush(done) {
+      push(decoder ? decoder.decode() : '', done)
+    },
+  }))
+}
+
+async function main() {
+  let args
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        schema: { type: 'string' },
+        reference: { type: 'string', multiple: true, default: [] },
+        out: { type: 'string' },
+        errors: { type: 'string' },
+        quarantine: { type: 'string' },
+        select: { type: 'string' },
+        format: { type: 'string', default: 'json' },
+        'key-column': { type: 'string' },
+        table: { type: 'string' },
+        dialect: { type: 'string' },
+        root: { type: 'string' },
+        row: { type: 'string' },
+        delimiter: { type: 'string' },
+        encoding: { type: 'string' },
+        headerless: { type: 'boolean', default: false },
+        'skip-rows': { type: 'string' },
+        comments: { type: 'string' },
+        quote: { type: 'string' },
+        escape: { type: 'string' },
+        trim: { type: 'boolean', default: false },
+        untyped: { type: 'boolean', default: false },
+        'omit-empty': { type: 'boolean', default: false },
+        nested: { type: 'boolean', default: false },
+        keys: { type: 'string', default: 'asis' },
+        'suffix-keys': { type: 'boolean', default: false },
+        infer: { type: 'boolean', default: false },
+        'allow-errors': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    })
+  } catch (err) {
+    fail(`${err.message}\n\n${USAGE}`)
+  }
+  const { values: opts, positionals } = args
+  if (opts.help) {
+    process.stdout.write(`${USAGE}\n`)
+    return 0
+  }
+  if (positionals.length > 1) fail(`expected one input file, got ${positionals.length}`)
+  if (!EXPORT_FORMATS[opts.format]) fail(`unknown format "${opts.format}"`)
+  if (opts.dialect && !SQL_DIALECTS[opts.dialect]) fail(`unknown SQL dialect "${opts.dialect}"`)
+  if (!KEY_POLICIES[opts.keys]) fail(`unknown key policy "${opts.keys}"`)
+  if (opts.encoding) {
+    try { new TextDecoder(opts.encoding) } catch { fail(`unknown encoding "${opts.encoding}"`) }
+  }
+
+  const inputPath = positionals[0]
+  const input = !inputPath || inputPath === '-' ? process.stdin : fs.createReadStream(inputPath)
+  input.on('error', err => fail(`could not read ${inputPath}: ${err.message}`))
+  const delimiter = opts.delimiter === '\\t' ? '\t' : opts.delimiter
+  const skipRows = opts['skip-rows'] === undefined ? 0 : Number(opts['skip-rows'])
+  if (!Number.isInteger(skipRows) || skipRows < 0) fail(`--skip-rows expects a whole number, got "${opts['skip-rows']}"`)
+  const settings = {
+    header: !opts.headerless,
+    skipRows,
+    comments: opts.comments || '',
+    quoteChar: opts.quote || '"',
+    escapeChar: opts.escape || '',
+    trim: opts.trim,
+  }
+  const decoding = { encoding: opts.encoding, issues: scanText('') }
+  const { fields, rows, errors: parseErrors, delimiter: detected } = await parseCSV(decodeInput(input, decoding), { delimiter, settings })
+  for (const e of parseErrors) process.stderr.write(`${e}\n`)
+  for (const w of encodingWarnings(decoding.issues, decoding.encoding)) process.stderr.write(`warning: ${w}\n`)
+
+  if (opts.infer) {
+    write(opts.out, JSON.stringify(inferSchemaFromData(rows, fields).fields, null, 2))
+    return 0
+  }
+
+  let schema = []
+  if (opts.schema) {
+    const imported = importSchema(readJSON(opts.schema, 'schema'))
+    for (const w of imported.warnings) process.stderr.write(`schema: ${w}\n`)
+    schema = resolveReferences(schemaForHeaders(imported.fields, fields), await readReferences(opts.reference))
+    for (const s of dateFormatSuggestions(rows, schema)) {
+      const hint = s.ambiguous ? '; day and month both fit, check before using it' : ''
+      process.stderr.write(`schema: date field "${s.column}" has no format and only accepts ISO 8601, but holds values like "${s.example}"; set "format": "${s.format}"${hint}\n`)
+    }
+  }
+
+  const columns = outputColumns(fields, schema)
+  const selected = opts.select ? opts.select.split(',').map(s => s.trim()).filter(Boolean) : columns
+  const unknown = selected.filter(c => !columns.includes(c))
+  if (unknown.length) fail(`unknown column(s) in --select: ${unknown.join(', ')}`)
+
+  const { report, columnCounts } = validateRows(rows, schema)
+  const invalidRows = report.length
+  process.stderr.write(`${rows.length} rows, ${rows.length - invalidRows} valid, ${invalidRows} invalid\n`)
+  if (invalidRows) {
+    const byCode = {}
+    for (const r of report) for (const e of r.errors) byCode[e.code] = (byCode[e.code] || 0) + 1
+    for (const [code, n] of Object.entries(byCode)) process.stderr.write(`  ${ERROR_CODES[code] || code}: ${n}\n`)
+    for (const [column, n] of Object.entries(columnCounts)) process.stderr.write(`  column "${column}": ${n} failing cell(s)\n`)
+  }
+  if (opts.errors) write(opts.errors, errorsCSV(report))
+
+  const failed = invalidRows > 0 && !opts['allow-errors']
+  let exportRows = rows
+  if (opts.quarantine) {
+    const { valid, invalid } = partitionRows(rows, report)
+    write(opts.quarantine, quarantineCSV(invalid, fields, detected || ','))
+    exportRows = valid
+  } else if (failed) {
+    process.stderr.write('Validation failed; nothing exported (use --quarantine or --allow-errors).\n')
+    return 1
+  }
+
+  const typed = !opts.untyped
+  // Typed exports add schema fields missing from the columns; --select is
+  // exact. Transforms still see the whole schema, so a selected computed
+  // field can read a column that isn't exported.
+  const keyOptions = { keyPolicy: opts.keys, suffixKeys: opts['suffix-keys'], exact: Boolean(opts.select) }
+  const keys = exportKeys({ schema, columns: selected, typed, nested: opts.nested, ...keyOptions })
+  if (opts.nested) {
+    const conflicts = findPathConflicts(keys)
+    if (conflicts.length) fail(`nested export conflicts:\n  ${conflicts.join('\n  ')}`)
+  } else {
+    const collisions = findKeyCollisions(keys)
+    if (collisions.length) fail(`key collisions (use --suffix-keys to number them):\n  ${collisions.join('\n  ')}`)
+  }
+  const { text } = convertRows(exportRows, {
+    schema,
+    columns: selected,
+    typed,
+    emptyAs: opts['omit-empty'] ? 'omit' : 'null',
+    nested: opts.nested,
+    ...keyOptions,
+    format: opts.format,
+    formatOptions: { keyColumn: opts['key-column'], table: opts.table, dialect: opts.dialect, root: opts.root, row: opts.row },
+  })
+  write(opts.out, text)
+  return failed ? 1 : 0
+}
+
+main().then(code => { process.exitCode = code }, err => fail(err.message))
@@ -1,9 +1,30 @@
-import React, { useEffect, useMemo, useState } from 'react'
-import Papa from 'papaparse'
+import React, { useEffect, useMemo, useRef, useState } from 'react'
 import { saveAs } from 'file-saver'
 import FileUpload from './components/FileUpload.jsx'
-import { required, validateRow } from './utils/validators.js'
+import JsonUpload from './components/JsonUpload.jsx'
+import { exportKeys, findPathConflicts } from './utils/exporters.js'
+import { EXPORT_FORMATS, SQL_DIALECTS } from './utils/serializers.js'
+import { findKeyCollisions, KEY_POLICIES } from './utils/keys.js'
+import { isWorkbookFile, WORKBOOK_EXTENSIONS } from './utils/workbook.js'
+import { applyMapping, matchHeaders, resolveMapping } from './utils/mapping.js'
+import { importSchema, toJSONSchema, toTableSchema } from './utils/schemaFormats.js'
+import { detectDelimiter, errorsCSV, looksBinary, outputColumns } from './core/index.js'
+import { DEFAULT_PARSE_SETTINGS } from './utils/csv.js'
+import { applyLocale, ERROR_CODES, failingColumns } from './utils/validators.js'
 import SchemaBuilder from './components/SchemaBuilder.jsx'
+import LocaleOptions from './components/LocaleOptions.jsx'
+import ReferenceManager from './components/ReferenceManager.jsx'
+import SchemaLibrary from './components/SchemaLibrary.jsx'
+import ProfilePanel from './components/ProfilePanel.jsx'
+import ParseSettings from './components/ParseSettings.jsx'
+import { resolveReferences } from './utils/references.js'
+import PreviewTable from './components/PreviewTable.jsx'
+import HeaderMapping from './components/HeaderMapping.jsx'
+import BulkFixes from './components/BulkFixes.jsx'
+import BatchPanel from './components/BatchPanel.jsx'
+import { isBatchFile } from './utils/batch.js'
+import { decodeBytes, detectEncoding, ENCODINGS, SAMPLE_BYTES } from './utils/encoding.js'
+import { ERRORS_COLUMN, thresholdError } from './utils/quarantine.js'
 
 const DEFAULT_SCHEMA = [
   { name: 'name', type: 'string', required: true },
@@ -11,84 +32,335 @@ const DEFAULT_SCHEMA = [
   { name: 'age', type: 'number', required: false },
 ]
 
+// The report list only renders this many rows; the errors CSV has them all.
+const REPORT_LIMIT = 500
+
+// Raw lines shown in the parse settings preview.
+const SAMPLE_LINES = 20
+
+const SCHEMA_FORMAT_LABELS = {
+  native: 'app schema',
+  jsonschema: 'JSON Schema (2020-12)',
+  frictionless: 'Table Schema (Frictionless)',
+}
+
+// A value saved by a previous visit. Read while initialising state, so the
+// effects that save changes never run with the defaults first.
+function stored(key, fallback, parse = JSON.parse) {
+  try {
+    const raw = localStorage.getItem(key)
+    return raw ? parse(raw) : fallback
+  } catch {
+    return fallback
+  }
+}
+
 export default function App() {
   const [file, setFile] = useState(null)
-  const [schemaText, setSchemaText] = useState(JSON.stringify(DEFAULT_SCHEMA, null, 2))
-  const [rows, setRows] = useState([])
+  const [schemaText, setSchemaText] = useState(() => stored('schemaText', JSON.stringify(DEFAULT_SCHEMA, null, 2), raw => raw))
+  const [rowCount, setRowCount] = useState(0) // the rows themselves stay in the worker
+  const [rowsVersion, setRowsVersion] = useState(0) // bumped when the worker's rows change
   const [errors, setErrors] = useState([])
   const [headers, setHeaders] = useState([])
-  const [selectedCols, setSelectedCols] = useState([])
+  const [selectedCols, setSelectedCols] = useState(() => stored('selectedCols', []))
   const [headerOrder, setHeaderOrder] = useState([])
   const [dragCol, setDragCol] = useState(null)
+  const [typedExport, setTypedExport] = useState(true)
+  const [emptyAs, setEmptyAs] = useState('null')
+  const [nestedExport, setNestedExport] = useState(false)
+  const [keyPolicy, setKeyPolicy] = useState('asis')
+  const [suffixKeys, setSuffixKeys] = useState(false) // number colliding keys instead of refusing
+  const [exportFormat, setExportFormat] = useState('json')
+  const [formatOptions, setFormatOptions] = useState({ keyColumn: '', table: 'data', dialect: 'postgres', root: 'rows', row: 'row' })
+  const [schemaFormat, setSchemaFormat] = useState('native')
+  const [schemaReport, setSchemaReport] = useState(null) // { title, warnings } after import/export
+  const [progress, setProgress] = useState(null) // { loaded, total, rows, cancellable } while parsing
+  const [workbook, setWorkbook] = useState(null) // { names, sheet, headerRow } for spreadsheet uploads
+  const [validation, setValidation] = useState(null) // { processed, total, errorRows } while validating
+  const [validationReport, setValidationReport] = useState([])
+  const [columnErrorCount, setColumnErrorCount] = useState({})
+  const [mappingOverrides, setMappingOverrides] = useState({}) // header -> field name ('' = unmapped)
+  const [locale, setLocale] = useState(() => stored('locale', {})) // global decimal/thousands/currencySymbols/format defaults
+  const [references, setReferences] = useState(() => stored('references', {})) // name -> { columns, rows, source } for foreign keys
+  const [sourceDelimiter, setSourceDelimiter] = useState('') // as detected by the parser; '' for workbooks
+  const [sourceEncoding, setSourceEncoding] = useState(null) // { detected, reason, used } for CSV uploads
+  const [parseSettings, setParseSettings] = useState(DEFAULT_PARSE_SETTINGS)
+  const [rawSample, setRawSample] = useState('') // first lines of the CSV as decoded
+  const [editedCells, setEditedCells] = useState(0)
+  const [errorThreshold, setErrorThreshold] = useState({ mode: 'percent', value: 5 }) // partial export refuses above this
+  const [exportSummary, setExportSummary] = useState(null) // { total, valid, quarantined } after a partial export
+  const [jumpTo, setJumpTo] = useState(null) // { index } set by clicking a report entry
+  const [inference, setInference] = useState(null) // per-column report from "Use headers as schema"
+  const [dateSuggestions, setDateSuggestions] = useState([]) // non-ISO date columns whose field has no format
+  const [batchFiles, setBatchFiles] = useState(null) // File[] when several files were uploaded at once
 
-  function detectDelimiter(sample = '') {
-    const line = (sample.split(/\r?\n/).find(l => l.trim()) || '')
-    const candidates = [',', ';', '\t', '|']
-    const scores = candidates.map(d => ({
-      delim: d,
-      count: (line.match(new RegExp(`\\${d}`, 'g')) || []).length
-    }))
-    const best = scores.sort((a, b) => b.count - a.count)[0]
-    return best && best.count > 0 ? best.delim : '' // '' lets Papa auto-detect
-  }
-
-  function looksBinary(textSample = '') {
-    return /\u0000/.test(textSample)
-  }
+  const workerRef = useRef(null)
+  const genRef = useRef(0)
+  const parseGenRef = useRef(0) // gen of the parse whose chunks are being collected
+  const requestsRef = useRef(new Map()) // id -> { resolve, reject } for worker replies
+  const requestIdRef = useRef(0)
+  const reportRef = useRef({ entries: [], columnCounts: {} })
+  const schemaTextRef = useRef(schemaText)
+  const effectiveSchemaRef = useRef([])
+  const validatedWithRef = useRef(null) // JSON of the schema the current report was built with
+  const shortcutsRef = useRef({}) // keyboard shortcut handlers from the latest render
+  schemaTextRef.current = schemaText
 
-  async function parseCSV(selectedFile) {
+  // `encoding` overrides the one detected from the first bytes.
+  async function parseCSV(selectedFile, { encoding, settings = parseSettings } = {}) {
     if (!selectedFile) return
 
     try {
-      const sample = await selectedFile.slice(0, 4096).text()
+      const bytes = new Uint8Array(await selectedFile.slice(0, SAMPLE_BYTES).arrayBuffer())
+      const detected = detectEncoding(bytes)
+      const used = encoding || detected.encoding
+      const sample = decodeBytes(bytes, used)
       if (looksBinary(sample)) {
         setErrors([`"${selectedFile.name}" does not look like a text/CSV file.`])
         return
       }
 
-      const delimiter = detectDelimiter(sample.replace(/^\uFEFF/, ''))
-
-      Papa.parse(selectedFile, {
-        header: true,
-        skipEmptyLines: 'greedy',
-        delimiter,
-        dynamicTyping: false, // We handle coercion ourselves
-        complete: (results) => {
-          const data = results.data
-          const fields = results.meta?.fields || []
-          const parseErrors = results.errors?.length
-            ? results.errors.map(e => `Parse error (row ${e.row ?? '?'}): ${e.message}`)
-            : []
-
-          setRows(data)
-          setHeaders(fields)
-          setHeaderOrder(fields)
-          setSelectedCols(fields)
-          setErrors(parseErrors)
-        },
-        error: (err) => setErrors([`Parse error: ${err.message}`]),
-      })
+      const delimiter = settings.delimiter || detectDelimiter(sample, settings)
+      setSourceEncoding({ detected: detected.encoding, reason: detected.reason, used })
+      setRawSample(sample.split(/\r?\n/).slice(0, SAMPLE_LINES).join('\n'))
+
+      const gen = ++genRef.current
+      parseGenRef.current = gen
+      const schema = schemaFromText(schemaTextRef.current)
+      resetValidation()
+      validatedWithRef.current = JSON.stringify(schema)
+      setProgress({ loaded: 0, total: selectedFile.size, rows: 0, cancellable: true })
+      getWorker().postMessage({ type: 'parse', file: selectedFile, encoding: used, delimiter, settings, schema, gen })
     } catch (err) {
       setErrors([`Failed to read file: ${err.message}`])
     }
   }
 
-  const orderedHeaders = useMemo(() => {
-    const known = headerOrder.filter(h => headers.includes(h)) 
-    const extras = headers.filter(h => !headerOrder.includes(h))
-    return [...known, ...extras]
-  }, [headers, headerOrder])
+  function getWorker() {
+    if (!workerRef.current) {
+      workerRef.current = new Worker(new URL('./workers/csvWorker.js', import.meta.url), { type: 'module' })
+      workerRef.current.onmessage = onWorkerMessage
+    }
+    return workerRef.current
+  }
+
+  // Asks the worker about the rows it holds; resolves with its reply.
+  function ask(type, payload = {}) {
+    const id = ++requestIdRef.current
+    return new Promise((resolve, reject) => {
+      requestsRef.current.set(id, { resolve, reject })
+      getWorker().postMessage({ ...payload, type, id })
+    })
+  }
+
+  // Only touches refs and state setters, so the handler bound at worker
+  // creation stays valid for the lifetime of the component.
+  function onWorkerMessage(e) {
+    const msg = e.data
+    if (msg.type === 'reply') {
+      const request = requestsRef.current.get(msg.id)
+      requestsRef.current.delete(msg.id)
+      if (msg.error !== undefined) request?.reject(new Error(msg.error))
+      else request?.resolve(msg.result)
+      return
+    }
+    if (['chunk', 'parsed', 'error'].includes(msg.type) && msg.gen !== parseGenRef.current) return
+    if (msg.type === 'chunk') {
+      if (msg.parseErrors.length) setErrors(prev => [...prev, ...msg.parseErrors])
+      setProgress(prev => ({ ...prev, loaded: msg.cursor, total: msg.size, rows: msg.rowCount }))
+    }
+    if (msg.type === 'parsed') {
+      setRowCount(msg.rowCount)
+      setRowsVersion(v => v + 1)
+      setSourceDelimiter(msg.delimiter || '')
+      setEditedCells(0)
+      setHeaders(msg.fields)
+      setHeaderOrder(msg.fields)
+      setSelectedCols(msg.fields)
+      setProgress(null)
+      if (msg.aborted) setErrors(prev => [...prev, `Parsing cancelled after ${msg.rowCount} rows.`])
+      if (msg.warnings?.length) setErrors(prev => [...prev, ...msg.warnings])
+    }
+    if (msg.type === 'sheets') {
+      if (msg.gen !== genRef.current) return
+      if (!msg.names.length) {
+        setErrors(['The workbook has no sheets.'])
+        setProgress(null)
+        return
+      }
+      setWorkbook({ names: msg.names, sheet: msg.names[0], headerRow: 1 })
+      loadSheet(msg.names[0], 1)
+    }
+    if (msg.type === 'validation') {
+      if (msg.gen !== genRef.current) return
+      const acc = reportRef.current
+      for (const entry of msg.entries) acc.entries.push(entry)
+      for (const [h, n] of Object.entries(msg.columnCounts)) acc.columnCounts[h] = (acc.columnCounts[h] || 0) + n
+      if (msg.done) {
+        setValidationReport(acc.entries)
+        setColumnErrorCount({ ...acc.columnCounts })
+        setValidation(null)
+      } else {
+        setValidation({ processed: msg.processed, total: msg.total, errorRows: acc.entries.length })
+      }
+    }
+    if (msg.type === 'revalidated') {
+      if (msg.gen !== genRef.current) return
+      const { entries, columnCounts } = reportRef.current
+      const counts = { ...columnCounts }
+      const adjust = (errors, d) => { for (const c of failingColumns(errors)) counts[c] = (counts[c] || 0) + d }
+      const patched = new Set(msg.entries.map(e => e.index))
+      const next = entries.filter(entry => {
+        if (!patched.has(entry.index)) return true
+        adjust(entry.errors, -1)
+        return false
+      })
+      for (const entry of msg.entries) {
+        if (!entry.errors.length) continue
+        next.push(entry)
+        adjust(entry.errors, 1)
+      }
+      next.sort((a, b) => a.index - b.index)
+      for (const c of Object.keys(counts)) if (!counts[c]) delete counts[c]
+      reportRef.current = { entries: next, columnCounts: counts }
+      setValidationReport(next)
+      setColumnErrorCount(counts)
+      setRowsVersion(v => v + 1)
+    }
+    if (msg.type === 'error') {
+      setErrors(prev => [...prev, msg.message])
+      setProgress(null)
+    }
+  }
+
+  function openWorkbook(selectedFile) {
+    parseGenRef.current = ++genRef.current
+    setProgress({ loaded: 0, total: 0, rows: 0, cancellable: false })
+    getWorker().postMessage({ type: 'workbook', file: selectedFile, gen: genRef.current })
+  }
+
+  // Header row is 1-based, as shown in the spreadsheet app.
+  function loadSheet(sheet, headerRow) {
+    const gen = ++genRef.current
+    parseGenRef.current = gen
+    const schema = schemaFromText(schemaTextRef.current)
+    resetValidation()
+    validatedWithRef.current = JSON.stringify(schema)
+    setErrors([])
+    setProgress({ loaded: 0, total: 0, rows: 0, cancellable: false })
+    getWorker().postMessage({ type: 'sheet', name: sheet, headerRow, schema, gen })
+  }
+
+  function changeWorkbook(patch) {
+    const next = { ...workbook, ...patch }
+    setWorkbook(next)
+    loadSheet(next.sheet, next.headerRow)
+  }
+
+  function resetValidation() {
+    reportRef.current = { entries: [], columnCounts: {} }
+    setValidation({ processed: 0, total: 0, errorRows: 0 })
+  }
+
+  function requestValidation() {
+    const gen = ++genRef.current
+    const schema = effectiveSchemaRef.current
+    resetValidation()
+    validatedWithRef.current = JSON.stringify(schema)
+    getWorker().postMessage({ type: 'validate', schema, gen })
+  }
+
+  // Edits run in the worker, which re-validates just the changed rows (plus
+  // rows sharing a `unique` value with them) and replies 'revalidated'.
+  async function applyEdit(op, args) {
+    const { cells } = await ask('edit', { op, ...args, schema: effectiveSchemaRef.current, gen: genRef.current })
+    if (cells) setEditedCells(n => n + cells)
+    return cells
+  }
+
+  function editCell(index, column, value) {
+    applyEdit('cell', { index, column, value })
+  }
+
+  function fixFailingCells(column, fix) {
+    return applyEdit('fix', { column, fix })
+  }
+
+  function replaceInRows(columns, options) {
+    return applyEdit('replace', { columns, options })
+  }
+
+  function fetchPage(request) {
+    return ask('page', request)
+  }
+
+  async function downloadCorrectedCSV() {
+    const csv = await ask('csv', { fields: headers, delimiter: sourceDelimiter || ',' })
+    const base = (file?.name || 'data').replace(/\.[^.]+$/, '')
+    saveAs(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `${base}_corrected.csv`)
+  }
+
+  // Reads the current CSV again, keeping the chosen encoding unless overridden.
+  function reparse(options) {
+    setRowCount(0)
+    setErrors([])
+    setExportSummary(null)
+    parseCSV(file, { encoding: sourceEncoding?.used, ...options })
+  }
+
+  function changeEncoding(encoding) {
+    reparse({ encoding })
+  }
+
+  // Settings apply on the next upload too; with a CSV loaded they re-parse it.
+  const parseSettingsKey = JSON.stringify(parseSettings)
+  useEffect(() => {
+    if (!file || !sourceEncoding) return
+    const t = setTimeout(reparse, 400)
+    return () => clearTimeout(t)
+  }, [parseSettingsKey])
+
+  function cancelParse() {
+    workerRef.current?.postMessage({ type: 'cancel' })
+  }
+
+  useEffect(() => () => {
+    workerRef.current?.terminate()
+    workerRef.current = null
+  }, [])
 
   function handleFileSelected(f) {
     setFile(f)
-    setRows([])
+    setRowCount(0)
     setErrors([])
-    if (f) parseCSV(f)
+    setWorkbook(null)
+    setSourceEncoding(null)
+    setMappingOverrides({})
+    setInference(null)
+    setExportSummary(null)
+    if (f && isWorkbookFile(f)) openWorkbook(f)
+    else if (f) parseCSV(f)
   }
 
-  function currentSchema() {
+  // Several files (or a folder) switch to batch mode; one file keeps the full editor.
+  function handleFilesSelected(list) {
+    const files = list.length > 1 ? list.filter(isBatchFile) : list
+    if (files.length > 1) {
+      clearAll()
+      setBatchFiles(files)
+      return
+    }
+    setBatchFiles(null)
+    if (list.length > 1 && !files.length) {
+      setErrors(['None of the selected files is a CSV or spreadsheet.'])
+      return
+    }
+    handleFileSelected(files[0] || null)
+  }
+
+  function schemaFromText(text) {
     try {
-      const parsed = JSON.parse(schemaText)
+      const parsed = JSON.parse(text)
       if (!Array.isArray(parsed)) throw new Error('Schema must be an array')
       return parsed
     } catch (e) {
@@ -106,151 +378,248 @@ export default function App() {
     }
   }, [schemaText])
 
-  const validationReport = useMemo(() => {
-    if (!rows.length) return []
-    const schema = currentSchema()
-    return rows.map((row, idx) => ({
-      index: idx + 1,
-      errors: validateRow(row, schema),
-    }))
-  }, [rows, schemaText])
-
-  const hasErrors = validationReport.some(r => r.errors.length > 0)
-
-  const errorIndexSet = useMemo(() => {
-    const s = new Set()
-    for (const r of validationReport) if (r.errors.length > 0) s.add(r.index)
-    return s
-  }, [validationReport])
+  // Parsed headers plus computed schema fields, which behave like extra columns.
+  const columns = useMemo(() => outputColumns(headers, parsedSchema), [headers, parsedSchema])
+
+  const orderedHeaders = useMemo(() => {
+    const known = headerOrder.filter(h => columns.includes(h)) 
+    const extras = columns.filter(h => !headerOrder.includes(h))
+    return [...known, ...extras]
+  }, [columns, headerOrder])
+
+  const schemaIsValid = useMemo(() => {
+    try { return Array.isArray(JSON.parse(schemaText)) } catch { return false }
+  }, [schemaText])
+
+  const headerMatch = useMemo(() => matchHeaders(headers, parsedSchema), [headers, parsedSchema])
+  const headerMapping = useMemo(
+    () => resolveMapping(headerMatch.auto, mappingOverrides),
+    [headerMatch, mappingOverrides]
+  )
+  // The schema as seen by validation and export: field names rewritten to
+  // the CSV headers mapped onto them.
+  const effectiveSchema = useMemo(
+    () => resolveReferences(applyLocale(applyMapping(parsedSchema, headerMapping), locale), references),
+    [parsedSchema, headerMapping, locale, references]
+  )
+  const localizedSchema = useMemo(() => applyLocale(parsedSchema, locale), [parsedSchema, locale])
+  // For the JSON → CSV and batch paths, which match headers (exact and
+  // alias) per input instead of through the mapping step.
+  const resolvedSchema = useMemo(() => resolveReferences(localizedSchema, references), [localizedSchema, references])
+  const effectiveSchemaText = useMemo(() => JSON.stringify(effectiveSchema), [effectiveSchema])
+  effectiveSchemaRef.current = effectiveSchema
 
-  const columnErrorCount = useMemo(() => {
+  // Profile actions edit the field mapped to a column, adding one if needed.
+  function applyToField(header, patch) {
+    const name = headerMapping[header] || header
+    const exists = parsedSchema.some(f => f.name === name)
+    const next = exists
+      ? parsedSchema.map(f => (f.name === name ? { ...f, ...patch } : f))
+      : [...parsedSchema, { name, type: 'string', required: false, ...patch }]
+    setSchemaText(JSON.stringify(next, null, 2))
+  }
+
+  function setHeaderMapping(header, fieldName) {
+    setMappingOverrides(prev => ({ ...prev, [header]: fieldName }))
+  }
+
+  // Re-validation runs in the worker; debounce so typing in the schema
+  // textarea doesn't restart it on every keystroke.
+  useEffect(() => {
+    if (!rowCount) return
+    if (!schemaIsValid) { schemaFromText(schemaText); return }
+    if (validatedWithRef.current === effectiveSchemaText) return
+    const t = setTimeout(requestValidation, 250)
+    return () => clearTimeout(t)
+  }, [effectiveSchemaText, rowsVersion])
+
+  // Date fields without a format read ISO 8601 only; schemas written for
+  // the old Date.parse fallback need a format for anything else.
+  useEffect(() => {
+    if (!rowCount || !schemaIsValid) { setDateSuggestions([]); return }
+    let live = true
+    const t = setTimeout(() => {
+      ask('dates', { schema: effectiveSchemaRef.current }).then(found => { if (live) setDateSuggestions(found) })
+    }, 250)
+    return () => { live = false; clearTimeout(t) }
+  }, [effectiveSchemaText, rowsVersion])
+
+  const hasErrors = validationReport.length > 0
+  const busy = progress !== null || validation !== null
+
+  // rowIndex -> structured errors, for cell highlights and tooltips
+  const rowErrors = useMemo(() => new Map(validationReport.map(r => [r.index, r.errors])), [validationReport])
+
+  const errorCodeCounts = useMemo(() => {
     const counts = {}
-    headers.forEach(h => { counts[h] = 0 })
-    if (!rows.length || !parsedSchema.length) return counts
-
-    for (const row of rows) {
-      for (const h of headers) {
-        if (cellHasError(row, parsedSchema, h)) {
-          counts[h] = (counts[h] || 0) + 1
-        }
-      }
-    }
+    for (const r of validationReport) for (const e of r.errors) counts[e.code] = (counts[e.code] || 0) + 1
     return counts
-  }, [rows, headers, parsedSchema])
+  }, [validationReport])
+
+  // The records are built in the worker; `quarantine` ({ headers, delimiter })
+  // exports only the valid rows and returns the rest as a CSV.
+  async function downloadExport(keep, baseName = 'converted', quarantine) {
+    if (!checkExportPaths(keep)) return null
+    try {
+      // A key column picked before the key policy changed no longer exists.
+      const options = exportFormat === 'keyed' && !keyColumnChoices().includes(formatOptions.keyColumn)
+        ? { ...formatOptions, keyColumn: '' }
+        : formatOptions
+      const result = await ask('export', { options: exportOptions(keep), format: exportFormat, formatOptions: options, quarantine })
+      saveAs(new Blob([result.text], { type: `${result.mime};charset=utf-8` }), `${baseName}.${result.ext}`)
+      return result
+    } catch (err) {
+      setErrors([`Export failed: ${err.message}`])
+      return null
+    }
+  }
+
+  const thresholdRefusal = useMemo(
+    () => thresholdError(validationReport.length, rowCount, errorThreshold),
+    [validationReport, rowCount, errorThreshold]
+  )
+
+  // Valid rows go out in the chosen format; invalid ones to a quarantine CSV.
+  async function downloadPartial() {
+    if (thresholdRefusal) {
+      setErrors([`Partial export refused: ${thresholdRefusal}.`])
+      return
+    }
+    const result = await downloadExport(undefined, 'converted_valid', { headers, delimiter: sourceDelimiter || ',' })
+    if (!result) return
+    if (result.quarantine) saveAs(new Blob([result.quarantine], { type: 'text/csv;charset=utf-8' }), 'quarantine.csv')
+    setExportSummary({ total: result.valid + result.invalid, valid: result.valid, quarantined: result.invalid })
+  }
 
   function downloadJSON() {
-    const blob = new Blob([JSON.stringify(rows, null, 2)], { type: 'application/json;charset=utf-8' })
-    saveAs(blob, 'converted.json')
+    downloadExport()
   }
 
-  function pickColumns(data, keep) {
-    const cols = (keep && keep.length ? keep : orderedHeaders)
-    return data.map(row => {
-      const o = {}
-      for (const k of cols) o[k] = row[k]
-      return o
-    })
+  // Column order always follows the preview (orderedHeaders), even for a subset.
+  function exportColumns(keep) {
+    return keep && keep.length ? orderedHeaders.filter(h => keep.includes(h)) : orderedHeaders
   }
 
-  function downloadJSONSelected() {
-    const filtered = pickColumns(rows, selectedCols)
-    const blob = new Blob([JSON.stringify(filtered, null, 2)], { type: 'application/json;charset=utf-8' })
-    saveAs(blob, 'converted_selected.json')
+  function exportOptions(keep) {
+    return { schema: effectiveSchema, columns: exportColumns(keep), typed: typedExport, emptyAs, nested: nestedExport, keyPolicy, suffixKeys }
   }
 
-  function downloadErrorsCSV() {
-    if (!validationReport.length) return
-    const lines = ["row,errors"]
-    for (const r of validationReport) {
-      if (r.errors.length) {
-        const msg = r.errors.join(' | ').replaceAll('\n', ' ')
-        lines.push(`${r.index},"${msg.replaceAll('"','""')}"`)
-      }
-    }
-    const blob = new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8' })
-    saveAs(blob, 'validation_errors.csv')
+  function outputKeys(keep) {
+    return exportKeys({ schema: effectiveSchema, columns: exportColumns(keep), typed: typedExport, nested: nestedExport, keyPolicy, suffixKeys })
   }
 
-  function clearAll() {
-    setFile(null)
-    setRows([])
-    setHeaders([])
-    setErrors([])
+  // Keys the keyed export can use: the exported top-level keys, after the
+  // key policy. Nested paths aren't top-level keys of the records.
+  function keyColumnChoices() {
+    const keys = outputKeys().map(k => k.key)
+    return nestedExport ? keys.filter(k => !/[.[]/.test(k)) : keys
   }
 
-  function inferType(sample) {
-    if (sample === '' || sample === null || sample === undefined) return 'string'
+  // Nested exports check paths; flat ones check for keys that collide.
+  function pathConflicts(keep) {
+    const keys = outputKeys(keep)
+    return nestedExport ? findPathConflicts(keys) : findKeyCollisions(keys)
+  }
 
-    if (!isNaN(Number(String(sample).replace(/[$€£, ]/g,'')))) return 'number'
+  function checkExportPaths(keep) {
+    const conflicts = pathConflicts(keep)
+    const label = nestedExport ? 'Nested export conflict' : 'Key collision'
+    if (conflicts.length) setErrors(conflicts.map(c => `${label}: ${c}`))
+    return conflicts.length === 0
+  }
 
-    const v = String(sample).toLowerCase().trim()
+  function downloadJSONSelected() {
+    downloadExport(selectedCols, 'converted_selected')
+  }
 
-    if (['true','false','0','1'].includes(v)) return 'boolean'
+  function setFormatOption(k, v) {
+    setFormatOptions(prev => ({ ...prev, [k]: v }))
+  }
 
-    if (!Number.isNaN(Date.parse(sample))) return 'date'
-    return 'string'
+  function downloadErrorsCSV() {
+    if (!validationReport.length) return
+    const blob = new Blob([errorsCSV(validationReport)], { type: 'text/csv;charset=utf-8' })
+    saveAs(blob, 'validation_errors.csv')
   }
 
-  function inferSchemaFromData(rows, headers) {
-    if (!rows.length || !headers.length) return []
-    const first = rows[0]
-    return headers.map(h => ({
-      name: h,
-      type: inferType(first[h]),
-      required: false
-    }))
+  function clearAll() {
+    cancelParse()
+    parseGenRef.current = ++genRef.current
+    workerRef.current?.postMessage({ type: 'clear', gen: genRef.current })
+    setFile(null)
+    setBatchFiles(null)
+    setRowCount(0)
+    setHeaders([])
+    setErrors([])
+    setProgress(null)
+    setWorkbook(null)
+    setSourceEncoding(null)
+    setInference(null)
+    setValidation(null)
+    setValidationReport([])
+    setColumnErrorCount({})
   }
 
-  function useHeadersAsSchema() {
-    const inferred = inferSchemaFromData(rows, headers)
-    if (inferred.length) setSchemaText(JSON.stringify(inferred, null, 2))
+  async function useHeadersAsSchema() {
+    if (!rowCount) return
+    const { fields, report } = await ask('infer', { headers })
+    if (!fields.length) return
+    setSchemaText(JSON.stringify(fields, null, 2))
+    setInference(report)
   }
 
   function downloadSchema() {
-    const blob = new Blob([schemaText], { type: 'application/json;charset=utf-8' })
-    saveAs(blob, 'schema.json')
+    if (schemaFormat === 'native') {
+      const blob = new Blob([schemaText], { type: 'application/json;charset=utf-8' })
+      saveAs(blob, 'schema.json')
+      setSchemaReport(null)
+      return
+    }
+    const { schema, warnings } = schemaFormat === 'jsonschema' ? toJSONSchema(localizedSchema) : toTableSchema(localizedSchema)
+    const blob = new Blob([JSON.stringify(schema, null, 2)], { type: 'application/json;charset=utf-8' })
+    saveAs(blob, schemaFormat === 'jsonschema' ? 'schema.schema.json' : 'tableschema.json')
+    setSchemaReport({ title: `Exported as ${SCHEMA_FORMAT_LABELS[schemaFormat]}`, warnings })
   }
   function uploadSchema(e) {
     const f = e.target.files?.[0]
+    e.target.value = ''
     if (!f) return
-    f.text().then(txt => setSchemaText(txt))
+    f.text().then(txt => {
+      try {
+        const { format, fields, warnings } = importSchema(JSON.parse(txt))
+        setSchemaText(JSON.stringify(fields, null, 2))
+        setSchemaReport({ title: `Imported ${f.name} as ${SCHEMA_FORMAT_LABELS[format]}`, warnings })
+      } catch (err) {
+        setSchemaReport({ title: `Could not import ${f.name}`, warnings: [err.message] })
+      }
+    })
   }
 
   useEffect(() => localStorage.setItem('schemaText', schemaText), [schemaText])
+  useEffect(() => localStorage.setItem('locale', JSON.stringify(locale)), [locale])
+  useEffect(() => {
+    try {
+      localStorage.setItem('references', JSON.stringify(references))
+    } catch {
+      setErrors(prev => [...prev, 'Reference data is too large to keep between visits; it stays loaded for this session.'])
+    }
+  }, [references])
   useEffect(() => localStorage.setItem('selectedCols', JSON.stringify(selectedCols)),
   [selectedCols])
 
-  useEffect(() => {
-    const s = localStorage.getItem('schemaText')
-    const c = localStorage.getItem('selectedCols')
-    if (s) setSchemaText(s)
-    if (c) setSelectedCols(JSON.parse(c))
-  }, [])
-
   
 
-  function cellHasError(row, schema, colName) {
-    const f = schema.find(x => x.name === colName)
-    if (!f) return false
-
-    const v = row[colName]
-    if (f.required && (v === '' || v === null || v === undefined)) return true
-    if (f.type === 'number' && v !== '' && isNaN(Number(v))) return true
-    if (f.type === 'currency' && v !== '' && isNaN(Number(String(v).replace(/[$€£, ]/g, '')))) return true
-    if (f.type === 'email' && v && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(v))) return true
-    if (f.type === 'boolean' && v && !['true','false','0','1'].includes(String(v).toLowerCase())) return true
-    if (f.type === 'date' && v && Number.isNaN(Date.parse(v))) return true
-    return false
-  }
-
+  // The listener is bound once and calls this render's handlers, so the
+  // shortcuts always export with the current mapping, locale and options.
+  shortcutsRef.current = { useHeadersAsSchema, downloadJSON }
   useEffect(() => {
     function onKey(e){
-      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase()==='i'){ e.preventDefault(); useHeadersAsSchema() }
-      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase()==='s'){ e.preventDefault(); downloadJSON() }
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase()==='i'){ e.preventDefault(); shortcutsRef.current.useHeadersAsSchema() }
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase()==='s'){ e.preventDefault(); shortcutsRef.current.downloadJSON() }
     }
     window.addEventListener('keydown', onKey)
     return () => window.removeEventListener('keydown', onKey)
-  }, [rows, headers, schemaText])
+  }, [])
 
   function onHeaderDragStart(h, e) {
     setDragCol(h)
@@ -283,7 +652,10 @@ export default function App() {
     setDragCol(null)
   }
 
-  const fileName = file?.name || 'No file uploaded'
+  const fileName = batchFiles ? `${batchFiles.length} files (batch)` : file?.name || 'No file uploaded'
+  const exportConflicts = headers.length ? pathConflicts() : []
+  const renamedKeys = keyPolicy === 'asis' ? [] : outputKeys().filter(k => !k.join && k.key !== k.source)
+  const keyChoices = exportFormat === 'keyed' ? keyColumnChoices() : []
 
   return (
     <div className="page-shell space-y-6">
@@ -298,8 +670,8 @@ export default function App() {
               Upload a CSV, infer or design a schema, see instant validation, and export clean JSON with column control.
             </p>
             <div className="flex flex-wrap gap-3">
-              {rows.length > 0 && (
-                <button className="btn-primary" onClick={downloadJSON}>Export JSON</button>
+              {rowCount > 0 && !busy && (
+                <button className="btn-primary" onClick={downloadJSON}>Export {EXPORT_FORMATS[exportFormat]}</button>
               )}
             </div>
           </div>
@@ -310,9 +682,24 @@ export default function App() {
                 <span className="text-slate-400">File</span>
                 <span className="font-semibold text-white truncate max-w-[180px]" title={fileName}>{fileName}</span>
               </div>
+              {sourceEncoding && (
+                <div className="flex items-center justify-between gap-2 text-sm">
+                  <span className="text-slate-400" title={`Detected ${ENCODINGS[sourceEncoding.detected]} (${sourceEncoding.reason})`}>Encoding</span>
+                  <select
+                    className="field w-auto max-w-[180px] py-1 text-xs"
+                    value={sourceEncoding.used}
+                    onChange={(e) => changeEncoding(e.target.value)}
+                    disabled={busy}
+                  >
+                    {Object.entries(ENCODINGS).map(([k, label]) => (
+                      <option key={k} value={k}>{label}{k === sourceEncoding.detected ? ` · detected (${sourceEncoding.reason})` : ''}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
               <div className="flex items-center justify-between text-sm">
                 <span className="text-slate-400">Rows parsed</span>
-                <span className="font-semibold text-emerald-200">{rows.length}</span>
+                <span className="font-semibold text-emerald-200">{progress ? progress.rows : rowCount}</span>
               </div>
               <div className="flex items-center justify-between text-sm">
                 <span className="text-slate-400">Headers</span>
@@ -320,8 +707,8 @@ export default function App() {
               </div>
               <div className="flex items-center justify-between text-sm">
                 <span className="text-slate-400">Errors</span>
-                <span className={`font-semibold ${hasErrors ? 'text-rose-300' : 'text-emerald-200'}`}>
-                  {hasErrors ? 'Present' : 'Clean'}
+                <span className={`font-semibold ${hasErrors || validation?.errorRows ? 'text-rose-300' : 'text-emerald-200'}`}>
+                  {validation ? `${validation.errorRows} so far…` : hasErrors ? 'Present' : 'Clean'}
                 </span>
               </div>
             </div>
@@ -343,7 +730,103 @@ export default function App() {
         </div>
       )}
 
-      <FileUpload onFileSelected={handleFileSelected} />
+      <FileUpload onFilesSelected={handleFilesSelected} accept={['.csv', ...WORKBOOK_EXTENSIONS].join(',')} />
+
+      {batchFiles && (
+        <BatchPanel
+          files={batchFiles}
+          schema={resolvedSchema}
+          parseSettings={parseSettings}
+          exportOptions={{ typed: typedExport, emptyAs, nested: nestedExport, keyPolicy, suffixKeys }}
+          onClose={() => setBatchFiles(null)}
+        />
+      )}
+
+      {workbook && (
+        <div className="card space-y-3">
+          <div>
+            <p className="section-title">Workbook</p>
+            <h2 className="text-xl font-semibold text-white">Choose sheet and header row</h2>
+            <p className="text-sm text-slate-400">Numbers stay numbers and date cells become ISO dates.</p>
+          </div>
+          <div className="flex flex-wrap items-center gap-4 text-sm text-slate-200">
+            <label className="flex items-center gap-2">
+              <span className="text-slate-400">Sheet</span>
+              <select
+                className="field w-auto py-1.5"
+                value={workbook.sheet}
+                onChange={(e) => changeWorkbook({ sheet: e.target.value })}
+              >
+                {workbook.names.map(n => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="text-slate-400">Header row</span>
+              <input
+                type="number"
+                min="1"
+                className="field w-24 py-1.5"
+                value={workbook.headerRow}
+                onChange={(e) => changeWorkbook({ headerRow: Math.max(1, Number(e.target.value) || 1) })}
+              />
+            </label>
+          </div>
+        </div>
+      )}
+
+      {sourceEncoding && (
+        <div className="card space-y-3">
+          <div>
+            <p className="section-title">Parse settings</p>
+            <h2 className="text-xl font-semibold text-white">How the CSV is read</h2>
+            <p className="text-sm text-slate-400">Title rows, headerless files, comments and unusual quoting or delimiters. Changes re-parse the file.</p>
+          </div>
+          <ParseSettings
+            value={parseSettings}
+            onChange={setParseSettings}
+            sample={rawSample}
+            detectedDelimiter={sourceDelimiter}
+          />
+        </div>
+      )}
+
+      <JsonUpload schema={resolvedSchema} />
+
+      {busy && (
+        <div className="card space-y-3">
+          <div className="flex items-center justify-between gap-3">
+            <div>
+              <p className="section-title">{progress ? 'Parsing' : 'Validating'}</p>
+              <p className="text-sm text-slate-300">
+                {progress
+                  ? `${progress.rows.toLocaleString()} rows read · ${(validation?.errorRows ?? 0).toLocaleString()} with errors`
+                  : `${validation.processed.toLocaleString()} of ${validation.total.toLocaleString()} rows checked · ${validation.errorRows.toLocaleString()} with errors`}
+              </p>
+            </div>
+            {progress?.cancellable && <button className="btn-ghost" onClick={cancelParse}>Cancel</button>}
+          </div>
+          <div className="h-2 w-full overflow-hidden rounded-full bg-white/10">
+            <div
+              className="h-full rounded-full bg-emerald-400 transition-[width]"
+              style={{ width: `${progress
+                ? (progress.total ? Math.min(100, (progress.loaded / progress.total) * 100) : 0)
+                : (validation.total ? (validation.processed / validation.total) * 100 : 0)}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {headers.length > 0 && (
+        <ProfilePanel
+          rowCount={rowCount}
+          version={rowsVersion}
+          onProfile={() => ask('profile', { headers })}
+          headers={headers}
+          schema={parsedSchema}
+          mapping={headerMapping}
+          onApply={applyToField}
+        />
+      )}
 
       <div className="card space-y-3">
         <div className="flex items-start justify-between gap-3">
@@ -359,79 +842,71 @@ export default function App() {
           setSchemaText={setSchemaText}
           headers={headers}
           onUseHeaders={useHeadersAsSchema}
+          inference={inference}
+          references={references}
         />
+        <div className="space-y-2 rounded-xl border border-white/10 bg-white/5 p-3 text-sm text-slate-200">
+          <p className="text-slate-300">Locale defaults</p>
+          <p className="text-xs text-slate-400">
+            Apply to every number, currency and date field that doesn't set its own format. Dates with a format are read with exactly that pattern and exported as ISO 8601.
+          </p>
+          <LocaleOptions value={locale} onChange={setLocale} />
+        </div>
+        <ReferenceManager references={references} onChange={setReferences} />
+        <SchemaLibrary schemaText={schemaText} onLoad={setSchemaText} />
       </div>
 
+      {headers.length > 0 && (
+        <HeaderMapping
+          headers={headers}
+          schema={parsedSchema}
+          mapping={headerMapping}
+          auto={headerMatch.auto}
+          suggestions={headerMatch.suggestions}
+          onChange={setHeaderMapping}
+        />
+      )}
+
       <div className="card space-y-3">
         <div className="flex items-center justify-between">
           <div>
             <p className="section-title">Step 3 · Preview</p>
             <h2 className="text-xl font-semibold text-white">Data snapshot</h2>
-            <p className="text-sm text-slate-400">Drag headers to reorder. Cells highlight when they break the schema.</p>
+            <p className="text-sm text-slate-400">Drag headers to reorder, click a name to sort. Cells highlight when they break the schema.</p>
           </div>
-          <button className="btn-quiet" onClick={()=>setHeaderOrder(headers)}>Reset order</button>
+          <button className="btn-quiet" onClick={()=>setHeaderOrder(columns)}>Reset order</button>
         </div>
 
         {headers.length ? (
           <>
-            <div className="table-wrap">
-              <table className="min-w-full text-sm">
-                <thead>
-                  <tr>
-                    {headers.map(h => {
-                      const f = parsedSchema.find(x => x.name === h)
-                      const t = f?.type
-                      const req = !!f?.required
-                      const errCount = columnErrorCount[h] || 0
-                      return (
-                        <th
-                          key={h}
-                          draggable
-                          onDragStart={(e)=>onHeaderDragStart(h, e)}
-                          onDragOver={(e)=>onHeaderDragOver(h, e)}
-                          onDrop={(e)=>onHeaderDrop(h, e)}
-                          aria-grabbed={dragCol === h ? 'true' : 'false'}
-                          title="Drag to reorder"
-                          className={`sticky top-0 z-10 border-b border-white/10 bg-slate-900/70 px-3 py-2 text-left text-[11px] uppercase tracking-wide text-slate-400 cursor-grab select-none ${dragCol && dragCol!==h ? 'opacity-60' : ''}`}
-                        >
-                          <div className="flex items-center gap-2">
-                            <span className="text-white">{h}</span>
-                            {t && <span className="text-xs text-slate-500">({t}{req ? ' • req' : ''})</span>}
-                            {errCount > 0 && (
-                              <span className="badge-err" title={`${errCount} cell(s) failing validation`}>
-                                {errCount}
-                              </span>
-                            )}
-                          </div>
-                        </th>
-                      )
-                    })}
-                  </tr>
-                </thead>
-                <tbody>
-                  {rows.slice(0, 10).map((row, i) => {
-                    const rowIndex = i + 1
-                    const badRow = errorIndexSet.has(rowIndex)
-                    return (
-                      <tr key={i} className={badRow ? 'bg-rose-500/5' : 'bg-white/0'}>
-                        {orderedHeaders.map(h => {
-                          const bad = cellHasError(row, parsedSchema, h)
-                          return (
-                            <td
-                              key={h}
-                              className={`whitespace-nowrap px-3 py-2 text-slate-100 border-b border-white/5 ${bad ? 'bg-rose-500/10 text-rose-50' : 'bg-slate-900/40'}`}
-                            >
-                              {String(row[h] ?? '')}
-                            </td>
-                          )
-                        })}
-                      </tr>
-                    )
-                  })}
-                </tbody>
-              </table>
-            </div>
-            <p className="text-xs text-slate-400">Showing first 10 of {rows.length} rows.</p>
+            <PreviewTable
+              orderedHeaders={orderedHeaders}
+              rowCount={rowCount}
+              version={rowsVersion}
+              fetchPage={fetchPage}
+              schema={effectiveSchema}
+              columnErrorCount={columnErrorCount}
+              rowErrors={rowErrors}
+              editableColumns={headers}
+              onEditCell={editCell}
+              readOnly={busy}
+              jumpTo={jumpTo}
+              dragCol={dragCol}
+              onHeaderDragStart={onHeaderDragStart}
+              onHeaderDragOver={onHeaderDragOver}
+              onHeaderDrop={onHeaderDrop}
+            />
+            <p className="text-xs text-slate-400">
+              Double-click a cell to edit.
+              {editedCells > 0 && ` ${editedCells.toLocaleString()} cell(s) edited.`}
+            </p>
+            <BulkFixes
+              columns={headers}
+              columnErrorCount={columnErrorCount}
+              onFixColumn={fixFailingCells}
+              onFindReplace={replaceInRows}
+              disabled={busy}
+            />
           </>
         ) : <p className="text-sm text-slate-400">No data parsed yet.</p>}
       </div>
@@ -453,12 +928,12 @@ export default function App() {
                 <input
                   type="checkbox"
                   className="accent-emerald-400"
-                  checked={selectedCols.length === headers.length}
-                  onChange={(e) => setSelectedCols(e.target.checked ? headers : [])}
+                  checked={selectedCols.length === columns.length}
+                  onChange={(e) => setSelectedCols(e.target.checked ? columns : [])}
                 />
                 Select all
               </label>
-              {headers.map(h => (
+              {columns.map(h => (
                 <label key={h} className="flex items-center gap-2 text-sm text-slate-200">
                   <input
                     type="checkbox"
@@ -484,7 +959,7 @@ export default function App() {
             <h2 className="text-xl font-semibold text-white">Validation Report</h2>
           </div>
           <div className="flex items-center gap-2">
-            <span className="chip">Rows: {rows.length}</span>
+            <span className="chip">Rows: {rowCount}</span>
             <span className="chip">Headers: {headers.length}</span>
             <span className={`chip ${hasErrors ? 'border-rose-400/40 text-rose-200' : 'border-emerald-400/40 text-emerald-100'}`}>
               {hasErrors ? 'Errors present' : 'All good'}
@@ -492,38 +967,259 @@ export default function App() {
           </div>
         </div>
 
-        {rows.length === 0 && <p className="text-sm text-slate-400">Upload a CSV to see validation results.</p>}
+        {rowCount === 0 && <p className="text-sm text-slate-400">Upload a CSV to see validation results.</p>}
 
-        {rows.length > 0 && (
+        {rowCount > 0 && (
           <div className="space-y-3">
-            <ul className="space-y-1 text-sm">
-              {validationReport.map(r => (
-                r.errors.length > 0 ? (
-                  <li key={r.index} className="text-rose-200">
-                    Row {r.index}: {r.errors.join('; ')}
-                  </li>
-                ) : null
+            {dateSuggestions.length > 0 && (
+              <div className="space-y-1 rounded-xl border border-amber-400/30 bg-amber-500/10 p-3 text-sm text-amber-100">
+                <p>Date fields without a format only accept ISO 8601 (2024-03-31). These columns hold other dates:</p>
+                <ul className="space-y-1">
+                  {dateSuggestions.map(s => (
+                    <li key={s.column} className="flex flex-wrap items-center gap-2">
+                      <span>
+                        <span className="font-mono">{s.column}</span>, e.g. "{s.example}", reads as {s.format}
+                        {s.ambiguous && ' (day and month both fit; check before applying)'}
+                      </span>
+                      <button className="text-emerald-300 hover:text-emerald-200" onClick={() => applyToField(s.column, { format: s.format })}>Use {s.format}</button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {hasErrors && (
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(errorCodeCounts).map(([code, n]) => (
+                  <span key={code} className="chip border-rose-400/40 text-rose-200">{ERROR_CODES[code] || code}: {n.toLocaleString()}</span>
+                ))}
+              </div>
+            )}
+            <ul className="max-h-80 space-y-1 overflow-y-auto text-sm">
+              {validationReport.slice(0, REPORT_LIMIT).map(r => (
+                <li key={r.index} className="text-rose-200">
+                  <button className="font-semibold underline decoration-dotted hover:text-white" onClick={() => setJumpTo({ index: r.index })}>
+                    Row {r.index}
+                  </button>: {r.errors.map(e => e.message).join('; ')}
+                </li>
               ))}
             </ul>
+            {validationReport.length > REPORT_LIMIT && (
+              <p className="text-xs text-slate-400">
+                …and {(validationReport.length - REPORT_LIMIT).toLocaleString()} more rows with errors. Download the errors CSV for the full list.
+              </p>
+            )}
+            <div className="flex flex-wrap items-center gap-4 rounded-xl border border-white/10 bg-white/5 p-3 text-sm text-slate-200">
+              <label className="flex items-center gap-2">
+                <span className="text-slate-400">Format</span>
+                <select className="field w-auto py-1.5" value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+                  {Object.entries(EXPORT_FORMATS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                </select>
+              </label>
+              {exportFormat === 'keyed' && (
+                <label className="flex items-center gap-2">
+                  <span className="text-slate-400">Key column</span>
+                  <select
+                    className="field w-auto py-1.5"
+                    value={keyChoices.includes(formatOptions.keyColumn) ? formatOptions.keyColumn : ''}
+                    onChange={(e) => setFormatOption('keyColumn', e.target.value)}
+                  >
+                    <option value="">— choose —</option>
+                    {keyChoices.map(key => <option key={key} value={key}>{key}</option>)}
+                  </select>
+                </label>
+              )}
+              {exportFormat === 'sql' && (
+                <>
+                  <label className="flex items-center gap-2">
+                    <span className="text-slate-400">Table</span>
+                    <input
+                      className="field w-40 py-1.5"
+                      value={formatOptions.table}
+                      onChange={(e) => setFormatOption('table', e.target.value)}
+                    />
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <span className="text-slate-400">Dialect</span>
+                    <select
+                      className="field w-auto py-1.5"
+                      value={formatOptions.dialect}
+                      onChange={(e) => setFormatOption('dialect', e.target.value)}
+                    >
+                      {Object.entries(SQL_DIALECTS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                    </select>
+                  </label>
+                </>
+              )}
+              {exportFormat === 'xml' && (
+                <>
+                  <label className="flex items-center gap-2">
+                    <span className="text-slate-400">Root element</span>
+                    <input
+                      className="field w-32 py-1.5"
+                      value={formatOptions.root}
+                      onChange={(e) => setFormatOption('root', e.target.value)}
+                    />
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <span className="text-slate-400">Row element</span>
+                    <input
+                      className="field w-32 py-1.5"
+                      value={formatOptions.row}
+                      onChange={(e) => setFormatOption('row', e.target.value)}
+                    />
+                  </label>
+                </>
+              )}
+            </div>
+            <div className="flex flex-wrap items-center gap-4 rounded-xl border border-white/10 bg-white/5 p-3 text-sm text-slate-200">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  className="accent-emerald-400"
+                  checked={typedExport}
+                  onChange={(e) => setTypedExport(e.target.checked)}
+                />
+                Apply schema types (numbers, booleans, ISO dates)
+              </label>
+              <label className="flex items-center gap-2">
+                <span className="text-slate-400">Empty cells</span>
+                <select
+                  className="field w-auto py-1.5"
+                  value={emptyAs}
+                  disabled={!typedExport}
+                  onChange={(e) => setEmptyAs(e.target.value)}
+                >
+                  <option value="null">as null</option>
+                  <option value="omit">omitted</option>
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  className="accent-emerald-400"
+                  checked={nestedExport}
+                  onChange={(e) => setNestedExport(e.target.checked)}
+                />
+                Nest dot-path and [index] headers
+              </label>
+              <label className="flex items-center gap-2">
+                <span className="text-slate-400">JSON keys</span>
+                <select className="field w-auto py-1.5" value={keyPolicy} onChange={(e) => setKeyPolicy(e.target.value)}>
+                  {Object.entries(KEY_POLICIES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  className="accent-emerald-400"
+                  checked={suffixKeys}
+                  onChange={(e) => setSuffixKeys(e.target.checked)}
+                />
+                Number colliding keys (notes, notes_2)
+              </label>
+              {renamedKeys.length > 0 && (
+                <details className="w-full text-xs text-slate-400">
+                  <summary className="cursor-pointer">{renamedKeys.length} key(s) renamed</summary>
+                  <ul className="mt-1 grid gap-x-4 gap-y-0.5 font-mono md:grid-cols-2">
+                    {renamedKeys.map(k => <li key={k.source}>{k.source} → <span className="text-slate-200">{k.key}</span></li>)}
+                  </ul>
+                </details>
+              )}
+            </div>
+            {exportConflicts.length > 0 && (
+              <div className="rounded-xl border border-rose-400/30 bg-rose-500/10 p-3 text-sm text-rose-100">
+                <p className="font-semibold">
+                  {nestedExport ? 'Nested export blocked: conflicting paths' : 'Export blocked: columns collide on the same key'}
+                </p>
+                <ul className="mt-1 list-disc list-inside space-y-1">
+                  {exportConflicts.map((c, i) => <li key={i}>{c}</li>)}
+                </ul>
+                {!nestedExport && <p className="mt-1 text-xs">Map them to different schema fields, pick another key policy or number colliding keys.</p>}
+              </div>
+            )}
+            {hasErrors && !busy && (
+              <div className="space-y-2 rounded-xl border border-white/10 bg-white/5 p-3 text-sm text-slate-200">
+                <p className="text-slate-300">Partial export</p>
+                <p className="text-xs text-slate-400">
+                  {(rowCount - validationReport.length).toLocaleString()} valid row(s) go to {EXPORT_FORMATS[exportFormat]};{' '}
+                  {validationReport.length.toLocaleString()} invalid row(s) go to quarantine.csv with an <code>{ERRORS_COLUMN}</code> column.
+                </p>
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-slate-400">Refuse when invalid rows exceed</span>
+                  <input
+                    type="number"
+                    min="0"
+                    className="field w-24 py-1.5"
+                    placeholder="no limit"
+                    value={errorThreshold.value}
+                    onChange={(e) => setErrorThreshold(prev => ({ ...prev, value: e.target.value === '' ? '' : Number(e.target.value) }))}
+                  />
+                  <select
+                    className="field w-auto py-1.5"
+                    value={errorThreshold.mode}
+                    onChange={(e) => setErrorThreshold(prev => ({ ...prev, mode: e.target.value }))}
+                  >
+                    <option value="percent">% of rows</option>
+                    <option value="count">rows</option>
+                  </select>
+                  <button className="btn-primary" onClick={downloadPartial} disabled={!!thresholdRefusal}>
+                    Export valid rows + quarantine
+                  </button>
+                </div>
+                {thresholdRefusal && <p className="text-xs text-rose-200">Export refused: {thresholdRefusal}.</p>}
+              </div>
+            )}
+            {exportSummary && (
+              <p className="text-sm text-emerald-200">
+                Partial export: {exportSummary.valid.toLocaleString()} of {exportSummary.total.toLocaleString()} rows exported,{' '}
+                {exportSummary.quarantined.toLocaleString()} quarantined.
+              </p>
+            )}
             <div className="flex flex-wrap gap-2">
               <button className="btn-ghost" onClick={clearAll}>Clear</button>
 
-              {!hasErrors && rows.length > 0 && (
+              {!hasErrors && !busy && rowCount > 0 && (
                 <>
-                  <button className="btn-primary" onClick={downloadJSON}>Download JSON</button>
-                  <button className="btn-ghost" onClick={downloadJSONSelected}>Download JSON (selected)</button>
+                  <button className="btn-primary" onClick={downloadJSON}>Download {EXPORT_FORMATS[exportFormat]}</button>
+                  <button className="btn-ghost" onClick={downloadJSONSelected}>Download {EXPORT_FORMATS[exportFormat]} (selected)</button>
                 </>
               )}
 
               {hasErrors && (
                 <button className="btn-ghost" onClick={downloadErrorsCSV}>Download Errors (CSV)</button>
               )}
+              {!busy && rowCount > 0 && (
+                <button className="btn-ghost" onClick={downloadCorrectedCSV}>
+                  Download corrected CSV{editedCells > 0 ? ` (${editedCells.toLocaleString()} edits)` : ''}
+                </button>
+              )}
+              <select
+                className="field w-auto"
+                value={schemaFormat}
+                onChange={(e) => setSchemaFormat(e.target.value)}
+                title="Schema export format"
+              >
+                {Object.entries(SCHEMA_FORMAT_LABELS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+              </select>
               <button className="btn-ghost" onClick={downloadSchema}>Export schema</button>
               <label className="btn-quiet cursor-pointer">
                 Import schema
-                <input type="file" accept="application/json" onChange={uploadSchema} className="hidden" />
+                <input type="file" accept="application/json,.json" onChange={uploadSchema} className="hidden" />
               </label>
             </div>
+            {schemaReport && (
+              <div className={`rounded-xl border p-3 text-sm ${schemaReport.warnings.length ? 'border-amber-400/30 bg-amber-500/10 text-amber-100' : 'border-emerald-400/30 bg-emerald-500/10 text-emerald-100'}`}>
+                <div className="flex items-start justify-between gap-3">
+                  <p className="font-semibold">{schemaReport.title}</p>
+                  <button className="text-xs text-slate-300 hover:text-white" onClick={() => setSchemaReport(null)}>Dismiss</button>
+                </div>
+                {schemaReport.warnings.length > 0 ? (
+                  <ul className="mt-1 list-disc list-inside space-y-1">
+                    {schemaReport.warnings.map((w, i) => <li key={i}>{w}</li>)}
+                  </ul>
+                ) : <p className="mt-1">Everything translated.</p>}
+              </div>
+            )}
           </div>
         )}
       </div>
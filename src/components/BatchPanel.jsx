@@ -0,0 +1,240 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { saveAs } from 'file-saver'
+import { SOURCE_FIELD, sourceName } from '../utils/batch.js'
+import { ENCODINGS } from '../utils/encoding.js'
+import { KEY_POLICIES } from '../utils/keys.js'
+
+// Runs every file of a multi-file or folder upload against the current
+// schema in its own worker and lists the outcome per file. Re-runs when the
+// schema changes. Downloads are built in the worker from the rows it kept.
+// `exportOptions` ({ typed, emptyAs, nested, keyPolicy, suffixKeys }) seeds the batch's own options;
+// CSV files are read with the app's current `parseSettings`.
+export default function BatchPanel({ files, schema, parseSettings, exportOptions, onClose }) {
+  const [results, setResults] = useState([])
+  const [options, setOptions] = useState(exportOptions)
+  const [running, setRunning] = useState(false)
+  const [cancelled, setCancelled] = useState(false) // the last run was stopped; its results are partial
+  const [exporting, setExporting] = useState(null) // 'merged' | 'zip'
+  const [error, setError] = useState(null)
+  const workerRef = useRef(null)
+  const genRef = useRef(0)
+  const schemaKey = JSON.stringify(schema)
+  const settingsKey = JSON.stringify(parseSettings)
+
+  function getWorker() {
+    if (!workerRef.current) {
+      workerRef.current = new Worker(new URL('../workers/csvWorker.js', import.meta.url), { type: 'module' })
+      workerRef.current.onmessage = onWorkerMessage
+    }
+    return workerRef.current
+  }
+
+  function onWorkerMessage(e) {
+    const msg = e.data
+    if (msg.gen !== genRef.current) return
+    if (msg.type === 'error') {
+      setError(msg.message)
+      setExporting(null)
+      return
+    }
+    if (msg.type === 'batchFile') setResults(prev => [...prev, msg.summary])
+    if (msg.type === 'batchDone') setRunning(false)
+    if (msg.type === 'batchOutput') {
+      if (msg.mode === 'merged') saveAs(new Blob([msg.data], { type: 'application/json;charset=utf-8' }), 'batch_merged.json')
+      else saveAs(new Blob([msg.data], { type: 'application/zip' }), 'batch.zip')
+      setExporting(null)
+    }
+  }
+
+  function run() {
+    const gen = ++genRef.current
+    setResults([])
+    setError(null)
+    setCancelled(false)
+    setRunning(true)
+    // Folder paths live on the File objects as expandos, which don't survive
+    // postMessage, so the names travel next to the files.
+    const sources = files.map(file => ({ file, source: sourceName(file) }))
+    getWorker().postMessage({ type: 'batch', files: sources, settings: parseSettings, schema, gen })
+  }
+
+  useEffect(() => {
+    const t = setTimeout(run, 250)
+    return () => clearTimeout(t)
+  }, [files, schemaKey, settingsKey])
+
+  useEffect(() => () => {
+    workerRef.current?.terminate()
+    workerRef.current = null
+  }, [])
+
+  function cancel() {
+    workerRef.current?.terminate()
+    workerRef.current = null
+    genRef.current++
+    setRunning(false)
+    setCancelled(true)
+    setExporting(null)
+  }
+
+  function download(mode) {
+    setError(null)
+    setExporting(mode)
+    getWorker().postMessage({ type: 'batchExport', mode, ...options, gen: genRef.current })
+  }
+
+  const readable = results.filter(r => !r.error)
+  const totals = readable.reduce(
+    (t, r) => ({ rows: t.rows + r.rowCount, invalid: t.invalid + r.invalidRows, errors: t.errors + r.errorCount }),
+    { rows: 0, invalid: 0, errors: 0 }
+  )
+  // Exports come from the rows the worker kept, which a cancelled run lost.
+  const done = !running && !cancelled && results.length > 0
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <p className="section-title">Batch</p>
+          <h2 className="text-xl font-semibold text-white">{files.length} files against the current schema</h2>
+          <p className="text-sm text-slate-400">
+            Headers are matched by name and alias only; drift lists schema fields a file lacks and columns the schema doesn't know.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {running && <button className="btn-ghost" onClick={cancel}>Cancel</button>}
+          {cancelled && <button className="btn-ghost" onClick={run}>Run again</button>}
+          <button className="btn-quiet" onClick={onClose}>Close batch</button>
+        </div>
+      </div>
+
+      {running && (
+        <div className="h-2 w-full overflow-hidden rounded-full bg-white/10">
+          <div className="h-full rounded-full bg-emerald-400 transition-[width]" style={{ width: `${(results.length / files.length) * 100}%` }} />
+        </div>
+      )}
+
+      <div className="table-wrap max-h-96 overflow-y-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-[11px] uppercase tracking-wide text-slate-400">
+              <th className="px-3 py-2">File</th>
+              <th className="px-3 py-2 text-right">Rows</th>
+              <th className="px-3 py-2 text-right">Invalid rows</th>
+              <th className="px-3 py-2 text-right">Errors</th>
+              <th className="px-3 py-2">Header drift</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map((r, i) => (
+              <tr key={i} className="border-t border-white/5 text-slate-100">
+                <td className="px-3 py-2 font-mono text-xs">
+                  {r.source}
+                  {r.encoding && r.encoding !== 'utf-8' && <span className="ml-2 font-sans text-slate-400">{ENCODINGS[r.encoding]}</span>}
+                </td>
+                {r.error ? (
+                  <td colSpan={4} className="px-3 py-2 text-rose-200">Could not read: {r.error}</td>
+                ) : (
+                  <>
+                    <td className="px-3 py-2 text-right">{r.rowCount.toLocaleString()}</td>
+                    <td className={`px-3 py-2 text-right ${r.invalidRows ? 'text-rose-200' : 'text-emerald-200'}`}>{r.invalidRows.toLocaleString()}</td>
+                    <td className="px-3 py-2 text-right">
+                      {r.errorCount.toLocaleString()}
+                      {r.parseErrors > 0 && <span className="ml-1 text-xs text-amber-200">(+{r.parseErrors} parse)</span>}
+                    </td>
+                    <td className="px-3 py-2 text-xs">
+                      {!r.missing.length && !r.extra.length && <span className="text-emerald-200">matches schema</span>}
+                      {r.missing.length > 0 && <p className="text-rose-200">missing: {r.missing.join(', ')}</p>}
+                      {r.extra.length > 0 && <p className="text-amber-200">extra: {r.extra.join(', ')}</p>}
+                    </td>
+                  </>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {running && <p className="p-3 text-sm text-slate-400">Processing {Math.min(results.length + 1, files.length)} of {files.length}…</p>}
+        {cancelled && (
+          <p className="p-3 text-sm text-amber-200">
+            Cancelled after {results.length} of {files.length} files. Run the batch again to export.
+          </p>
+        )}
+      </div>
+
+      {done && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="chip">Rows: {totals.rows.toLocaleString()}</span>
+          <span className={`chip ${totals.invalid ? 'border-rose-400/40 text-rose-200' : 'border-emerald-400/40 text-emerald-100'}`}>
+            Invalid rows: {totals.invalid.toLocaleString()}
+          </span>
+          {results.length > readable.length && (
+            <span className="chip border-rose-400/40 text-rose-200">Unreadable files: {results.length - readable.length}</span>
+          )}
+          <button className="btn-primary" disabled={!readable.length || !!exporting} onClick={() => download('merged')}>
+            {exporting === 'merged' ? 'Building…' : 'Merged JSON'}
+          </button>
+          <button className="btn-ghost" disabled={!readable.length || !!exporting} onClick={() => download('zip')}>
+            {exporting === 'zip' ? 'Building…' : 'ZIP: JSON per file + errors.csv'}
+          </button>
+        </div>
+      )}
+      {done && (
+        <div className="flex flex-wrap items-center gap-4 rounded-xl border border-white/10 bg-white/5 p-3 text-sm text-slate-200">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              className="accent-emerald-400"
+              checked={options.typed}
+              onChange={(e) => setOptions(prev => ({ ...prev, typed: e.target.checked }))}
+            />
+            Apply schema types
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="text-slate-400">Empty cells</span>
+            <select
+              className="field w-auto py-1.5"
+              value={options.emptyAs}
+              disabled={!options.typed}
+              onChange={(e) => setOptions(prev => ({ ...prev, emptyAs: e.target.value }))}
+            >
+              <option value="null">as null</option>
+              <option value="omit">omitted</option>
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              className="accent-emerald-400"
+              checked={options.nested}
+              onChange={(e) => setOptions(prev => ({ ...prev, nested: e.target.checked }))}
+            />
+            Nest dot-path headers
+          </label>
+          <label className="flex items-center gap-2">
+            <span className="text-slate-400">Keys</span>
+            <select
+              className="field w-auto py-1.5"
+              value={options.keyPolicy}
+              onChange={(e) => setOptions(prev => ({ ...prev, keyPolicy: e.target.value }))}
+            >
+              {Object.entries(KEY_POLICIES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              className="accent-emerald-400"
+              checked={options.suffixKeys}
+              onChange={(e) => setOptions(prev => ({ ...prev, suffixKeys: e.target.checked }))}
+            />
+            Number colliding keys
+          </label>
+          <p className="w-full text-xs text-slate-400">
+            Every row is exported, valid or not. The merged file adds a <code>{SOURCE_FIELD}</code> field with each record's file.
+          </p>
+        </div>
+      )}
+      {error && <p className="text-sm text-rose-200">{error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,97 @@
+import React, { useState } from 'react'
+import TransformEditor from './TransformEditor.jsx'
+import { findPattern } from '../utils/edits.js'
+
+// "Fix this column" for failing cells, and find/replace across the data.
+// The parent applies the edits and re-validates the touched rows; both
+// handlers resolve with the number of changed cells.
+export default function BulkFixes({ columns, columnErrorCount, onFixColumn, onFindReplace, disabled }) {
+  const failing = columns.filter(c => columnErrorCount[c])
+  const [fixCol, setFixCol] = useState('')
+  const [mode, setMode] = useState('value')
+  const [value, setValue] = useState('')
+  const [steps, setSteps] = useState([])
+  const [find, setFind] = useState('')
+  const [replace, setReplace] = useState('')
+  const [scope, setScope] = useState('')
+  const [regex, setRegex] = useState(false)
+  const [matchCase, setMatchCase] = useState(false)
+  const [wholeCell, setWholeCell] = useState(false)
+  const [message, setMessage] = useState('')
+
+  const column = failing.includes(fixCol) ? fixCol : failing[0] || ''
+
+  let findError = ''
+  if (find && regex) {
+    try { findPattern({ find, regex }) } catch (err) { findError = err.message }
+  }
+
+  async function fix() {
+    if (!column) return
+    const cells = await onFixColumn(column, mode === 'value' ? { value } : { steps })
+    setMessage(`${column}: ${cells.toLocaleString()} failing cell(s) changed.`)
+  }
+
+  async function replaceAll() {
+    if (!find || findError) return
+    const cells = await onFindReplace(scope ? [scope] : columns, { find, replace, regex, matchCase, wholeCell })
+    setMessage(`Replaced in ${cells.toLocaleString()} cell(s).`)
+  }
+
+  return (
+    <div className="grid gap-4 md:grid-cols-2">
+      <div className="space-y-2 rounded-xl border border-white/10 bg-white/5 p-3 text-sm text-slate-200">
+        <p className="text-slate-300">Fix this column</p>
+        {failing.length === 0 ? (
+          <p className="text-xs text-slate-400">No failing cells in editable columns.</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-2">
+              <select className="field w-auto py-1.5" value={column} onChange={(e) => setFixCol(e.target.value)}>
+                {failing.map(c => <option key={c} value={c}>{c} ({columnErrorCount[c]} failing)</option>)}
+              </select>
+              <select className="field w-auto py-1.5" value={mode} onChange={(e) => setMode(e.target.value)}>
+                <option value="value">replace with value</option>
+                <option value="steps">apply transforms</option>
+              </select>
+            </div>
+            {mode === 'value'
+              ? <input className="field py-1.5" placeholder="new value (empty clears the cell)" value={value} onChange={(e) => setValue(e.target.value)} />
+              : <TransformEditor steps={steps} onChange={setSteps} />}
+            <button className="btn-ghost" onClick={fix} disabled={disabled || (mode === 'steps' && !steps.length)}>Apply to failing cells</button>
+          </>
+        )}
+      </div>
+
+      <div className="space-y-2 rounded-xl border border-white/10 bg-white/5 p-3 text-sm text-slate-200">
+        <p className="text-slate-300">Find and replace</p>
+        <div className="flex flex-wrap gap-2">
+          <input className="field flex-1 py-1.5 font-mono" placeholder="find" value={find} onChange={(e) => setFind(e.target.value)} />
+          <input className="field flex-1 py-1.5 font-mono" placeholder="replace with" value={replace} onChange={(e) => setReplace(e.target.value)} />
+        </div>
+        <div className="flex flex-wrap items-center gap-3 text-xs">
+          <select className="field w-auto py-1.5" value={scope} onChange={(e) => setScope(e.target.value)}>
+            <option value="">all columns</option>
+            {columns.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" className="accent-emerald-400" checked={regex} onChange={(e) => setRegex(e.target.checked)} />
+            regex
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" className="accent-emerald-400" checked={matchCase} onChange={(e) => setMatchCase(e.target.checked)} />
+            match case
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" className="accent-emerald-400" checked={wholeCell} onChange={(e) => setWholeCell(e.target.checked)} />
+            whole cell
+          </label>
+        </div>
+        {findError && <p className="text-xs text-rose-200">Invalid regex: {findError}</p>}
+        <button className="btn-ghost" onClick={replaceAll} disabled={disabled || !find || !!findError}>Replace all</button>
+      </div>
+
+      {message && <p className="text-xs text-emerald-200 md:col-span-2">{message}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,96 @@
+import React from 'react'
+import { COMPARE_OPS } from '../utils/validators.js'
+
+// "US, CA" -> ['US', 'CA']; a single value stays a string, blank means "any value".
+function equalsFromText(text) {
+    const values = text.split(',').map(v => v.trim()).filter(Boolean)
+    if (!values.length) return undefined
+    return values.length === 1 ? values[0] : values
+}
+
+function equalsToText(equals) {
+    if (equals === undefined) return ''
+    return Array.isArray(equals) ? equals.join(', ') : String(equals)
+}
+
+function NameToggles({ label, names, selected = [], onChange }) {
+    const toggle = n => {
+        const next = selected.includes(n) ? selected.filter(x => x !== n) : [...selected, n]
+        onChange(next.length ? next : undefined)
+    }
+    return (
+        <div className="space-y-1">
+            <p className="text-slate-400">{label}</p>
+            <div className="flex flex-wrap gap-1">
+                {names.map(n => (
+                    <button
+                        key={n}
+                        className={`rounded-full border px-2 py-0.5 ${selected.includes(n) ? 'border-emerald-400/60 bg-emerald-400/15 text-emerald-100' : 'border-white/10 text-slate-400 hover:text-white'}`}
+                        onClick={() => toggle(n)}
+                    >
+                        {n}
+                    </button>
+                ))}
+            </div>
+        </div>
+    )
+}
+
+// Cross-field rules for one schema field; `names` are the other fields.
+export default function FieldRules({ field, names, onChange }) {
+    const set = (k, v) => onChange({ ...field, [k]: v })
+    const compare = field.compare || []
+    const setCompare = (j, patch) => set('compare', compare.map((c, idx) => idx === j ? { ...c, ...patch } : c))
+
+    if (!names.length) return <p className="text-slate-500">Add more fields to relate this one to them.</p>
+
+    return (
+        <div className="space-y-3">
+            <div className="space-y-1">
+                <p className="text-slate-400">Required when</p>
+                <div className="flex gap-2">
+                    <select
+                        className="field py-1.5"
+                        value={field.requiredIf?.field ?? ''}
+                        onChange={e => set('requiredIf', e.target.value ? { ...field.requiredIf, field: e.target.value } : undefined)}
+                    >
+                        <option value="">— never —</option>
+                        {names.map(n => <option key={n} value={n}>{n}</option>)}
+                    </select>
+                    {field.requiredIf && (
+                        <input
+                            key={equalsToText(field.requiredIf.equals)}
+                            className="field py-1.5"
+                            placeholder="equals (blank: is filled)"
+                            defaultValue={equalsToText(field.requiredIf.equals)}
+                            onBlur={e => set('requiredIf', { field: field.requiredIf.field, equals: equalsFromText(e.target.value) })}
+                        />
+                    )}
+                </div>
+            </div>
+
+            <div className="space-y-1">
+                <p className="text-slate-400">Compare with</p>
+                {compare.map((c, j) => (
+                    <div key={j} className="flex items-center gap-2">
+                        <span className="text-slate-400">{field.name || 'this'}</span>
+                        <select className="field w-20 py-1.5" value={c.op} onChange={e => setCompare(j, { op: e.target.value })}>
+                            {COMPARE_OPS.map(op => <option key={op} value={op}>{op}</option>)}
+                        </select>
+                        <select className="field py-1.5" value={c.field} onChange={e => setCompare(j, { field: e.target.value })}>
+                            {names.map(n => <option key={n} value={n}>{n}</option>)}
+                        </select>
+                        <button className="text-slate-400 hover:text-rose-300" onClick={() => set('compare', compare.length > 1 ? compare.filter((_, idx) => idx !== j) : undefined)}>✕</button>
+                    </div>
+                ))}
+                <button className="text-emerald-300 hover:text-emerald-200" onClick={() => set('compare', [...compare, { op: '>=', field: names[0] }])}>
+                    + comparison
+                </button>
+            </div>
+
+            <NameToggles label="Mutually exclusive with" names={names} selected={field.exclusiveWith} onChange={v => set('exclusiveWith', v)} />
+            <NameToggles label="At least one of this or" names={names} selected={field.atLeastOneOf} onChange={v => set('atLeastOneOf', v)} />
+            <NameToggles label="Unique together with" names={names} selected={field.uniqueWith} onChange={v => set('uniqueWith', v)} />
+        </div>
+    )
+}
@@ -1,33 +1,85 @@
-import React from 'react'
+import React, { useState } from 'react'
+
+// Dropped folders are walked recursively; nested files keep their path
+// inside the folder as `relativePath` (pickers set webkitRelativePath).
+async function droppedFiles(dataTransfer) {
+  const entries = [...(dataTransfer.items || [])].map(item => item.webkitGetAsEntry?.()).filter(Boolean)
+  if (!entries.length) return [...dataTransfer.files]
+
+  const out = []
+  async function walk(entry, dir) {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject))
+      if (dir) file.relativePath = `${dir}${file.name}`
+      out.push(file)
+      return
+    }
+    if (!entry.isDirectory) return
+    const reader = entry.createReader()
+    let batch
+    do {
+      batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+      for (const child of batch) await walk(child, `${dir}${entry.name}/`)
+    } while (batch.length)
+  }
+  for (const entry of entries) await walk(entry, '')
+  return out
+}
+
+// One file goes through the normal flow; several (or a folder) run as a batch.
+export default function FileUpload({ onFilesSelected, accept = '.csv' }) {
+  const [dragging, setDragging] = useState(false)
+
+  async function onDrop(e) {
+    e.preventDefault()
+    setDragging(false)
+    onFilesSelected(await droppedFiles(e.dataTransfer))
+  }
+
+  function onPick(e) {
+    onFilesSelected([...(e.target.files || [])])
+    e.target.value = ''
+  }
 
-export default function FileUpload({ onFileSelected, accept = '.csv' }) {
   return (
     <div className="card space-y-4">
       <div className="flex items-start justify-between gap-3">
         <div>
           <p className="section-title">Step 1 · Upload</p>
-          <h2 className="text-xl font-semibold text-white">Upload CSV file</h2>
-          <p className="text-sm text-slate-400">Drop a CSV with headers. We auto-detect delimiters and highlight issues.</p>
+          <h2 className="text-xl font-semibold text-white">Upload CSV or spreadsheet</h2>
+          <p className="text-sm text-slate-400">Drop a CSV with headers, or an Excel/ODS workbook. We auto-detect delimiters and highlight issues.</p>
         </div>
-        <div className="chip">CSV only</div>
+        <div className="chip">CSV · XLSX · XLS · ODS</div>
       </div>
 
-      <label className="group flex cursor-pointer flex-col items-center justify-center gap-3 rounded-2xl border-2 border-dashed border-white/15 bg-white/5 px-6 py-8 text-center transition hover:border-emerald-400/50 hover:bg-emerald-400/5">
+      <label
+        onDragOver={(e) => { e.preventDefault(); setDragging(true) }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={onDrop}
+        className={`group flex cursor-pointer flex-col items-center justify-center gap-3 rounded-2xl border-2 border-dashed px-6 py-8 text-center transition hover:border-emerald-400/50 hover:bg-emerald-400/5 ${dragging ? 'border-emerald-400/60 bg-emerald-400/10' : 'border-white/15 bg-white/5'}`}
+      >
         <div className="h-14 w-14 rounded-2xl bg-emerald-400/15 text-emerald-300 flex items-center justify-center text-2xl">
           🗂️
         </div>
         <div className="space-y-1">
-          <p className="text-base font-semibold text-white">Drop your CSV</p>
+          <p className="text-base font-semibold text-white">Drop your file, several files or a folder</p>
           <p className="text-sm text-slate-400">or click to browse</p>
         </div>
         <input
           className="hidden"
           type="file"
+          multiple
           accept={accept}
-          onChange={(e) => onFileSelected(e.target.files?.[0] || null)}
+          onChange={onPick}
         />
       </label>
-      <p className="text-xs text-slate-400">Tip: Export your sheet as CSV (comma-separated).</p>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-xs text-slate-400">Tip: for workbooks you can pick the sheet and header row after upload. Several files run as a batch against the schema.</p>
+        <label className="btn-quiet cursor-pointer">
+          Choose folder
+          <input className="hidden" type="file" webkitdirectory="" onChange={onPick} />
+        </label>
+      </div>
     </div>
   )
 }
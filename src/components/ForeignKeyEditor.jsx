@@ -0,0 +1,88 @@
+import React from 'react'
+
+const EMBEDDED = '__values'
+
+// "customer_name=name" lines <-> { customer_name: 'name' }
+function joinToText(join = {}) {
+    return Object.entries(join).map(([k, v]) => `${k}=${v}`).join('\n')
+}
+
+function textToJoin(text) {
+    const join = {}
+    for (const line of text.split(/\r?\n/)) {
+        const i = line.indexOf('=')
+        if (i === -1) continue
+        const k = line.slice(0, i).trim()
+        const v = line.slice(i + 1).trim()
+        if (k && v) join[k] = v
+    }
+    return Object.keys(join).length ? join : undefined
+}
+
+function valuesFromText(text) {
+    return [...new Set(text.split(/[\n,]/).map(v => v.trim()).filter(Boolean))]
+}
+
+// Foreign key for one schema field: a column of a loaded reference, or a
+// list of allowed keys embedded in the schema.
+export default function ForeignKeyEditor({ field, references = {}, onChange }) {
+    const fk = field.foreignKey
+    const set = next => onChange({ ...field, foreignKey: next })
+    const source = !fk ? '' : Array.isArray(fk.values) ? EMBEDDED : fk.reference
+    const ref = fk?.reference ? references[fk.reference] : null
+    const names = Object.keys(references)
+    if (fk?.reference && !ref) names.push(fk.reference)
+
+    function changeSource(value) {
+        if (!value) return set(undefined)
+        if (value === EMBEDDED) return set({ values: [] })
+        set({ reference: value, column: references[value]?.columns[0] })
+    }
+
+    function embedKeys() {
+        const keys = [...new Set(ref.rows.map(r => String(r[fk.column] ?? '').trim()).filter(Boolean))]
+        set({ values: keys })
+    }
+
+    return (
+        <div className="space-y-2">
+            <div className="flex gap-2">
+                <select className="field py-1.5" value={source} onChange={e => changeSource(e.target.value)}>
+                    <option value="">— none —</option>
+                    {names.map(n => <option key={n} value={n}>{n}{references[n] ? '' : ' (not loaded)'}</option>)}
+                    <option value={EMBEDDED}>embedded list</option>
+                </select>
+                {ref && (
+                    <select className="field py-1.5" value={fk.column ?? ''} onChange={e => set({ ...fk, column: e.target.value })}>
+                        {ref.columns.map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                )}
+            </div>
+            {source === EMBEDDED && (
+                <textarea
+                    key={fk.values.join('\n')}
+                    rows={3}
+                    className="field py-1.5 font-mono"
+                    placeholder="allowed keys, one per line or comma-separated"
+                    defaultValue={fk.values.join('\n')}
+                    onBlur={e => set({ values: valuesFromText(e.target.value) })}
+                />
+            )}
+            {ref && (
+                <>
+                    <textarea
+                        key={joinToText(fk.join)}
+                        rows={2}
+                        className="field py-1.5 font-mono"
+                        placeholder={'join into export, e.g.\ncustomer_name=name'}
+                        defaultValue={joinToText(fk.join)}
+                        onBlur={e => set({ ...fk, join: textToJoin(e.target.value) })}
+                    />
+                    <button className="text-emerald-300 hover:text-emerald-200" onClick={embedKeys}>
+                        Embed keys in the schema instead (drops joins)
+                    </button>
+                </>
+            )}
+        </div>
+    )
+}
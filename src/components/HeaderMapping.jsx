@@ -0,0 +1,70 @@
+import React from 'react'
+
+// Maps CSV headers onto schema fields. Exact names and aliases are matched
+// automatically; fuzzy suggestions need a click to confirm.
+export default function HeaderMapping({ headers, schema, mapping, auto, suggestions, onChange }) {
+  const fieldNames = schema.map(f => f.name).filter(Boolean)
+  const mappedFields = new Set(Object.values(mapping))
+  const missing = fieldNames.filter(n => !mappedFields.has(n))
+  const pending = headers.filter(h => !mapping[h] && suggestions[h]?.length)
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <p className="section-title">Header mapping</p>
+          <h2 className="text-xl font-semibold text-white">Match CSV headers to schema fields</h2>
+          <p className="text-sm text-slate-400">Exports use the schema field names. Add aliases to a field to match vendor spellings automatically.</p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <span className="chip">Mapped: {Object.keys(mapping).length}/{headers.length}</span>
+          {pending.length > 0 && <span className="chip border-amber-400/40 text-amber-100">Suggestions: {pending.length}</span>}
+        </div>
+      </div>
+
+      <div className="table-wrap">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr>
+              {['CSV header', 'Schema field', 'Suggestion'].map(t => (
+                <th key={t} className="border-b border-white/10 bg-slate-900/70 px-3 py-2 text-left text-[11px] uppercase tracking-wide text-slate-400">{t}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {headers.map(h => {
+              const current = mapping[h] || ''
+              const best = !current ? suggestions[h]?.[0] : null
+              return (
+                <tr key={h}>
+                  <td className="whitespace-nowrap px-3 py-2 text-slate-100 border-b border-white/5 font-mono">{JSON.stringify(h)}</td>
+                  <td className="px-3 py-2 border-b border-white/5">
+                    <div className="flex items-center gap-2">
+                      <select className="field w-auto py-1.5" value={current} onChange={(e) => onChange(h, e.target.value)}>
+                        <option value="">— not mapped —</option>
+                        {fieldNames.map(n => <option key={n} value={n}>{n}</option>)}
+                      </select>
+                      {current && auto[h] === current && <span className="text-xs text-emerald-300">auto</span>}
+                    </div>
+                  </td>
+                  <td className="px-3 py-2 border-b border-white/5 text-slate-300">
+                    {best ? (
+                      <div className="flex items-center gap-2">
+                        <span title={best.reason}>{best.field} · {Math.round(best.score * 100)}%</span>
+                        <button className="btn-quiet px-2 py-1 text-xs" onClick={() => onChange(h, best.field)}>Confirm</button>
+                      </div>
+                    ) : <span className="text-slate-500">—</span>}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {missing.length > 0 && (
+        <p className="text-sm text-rose-200">Schema fields without a column: {missing.join(', ')}</p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,158 @@
+import React, { useMemo, useState } from 'react'
+import Papa from 'papaparse'
+import { saveAs } from 'file-saver'
+import { flattenRecords, parseJSONInput } from '../utils/flatten.js'
+import { schemaForHeaders, validateRows } from '../core/index.js'
+
+const DELIMITERS = [
+  { value: ',', label: 'Comma (,)' },
+  { value: ';', label: 'Semicolon (;)' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe (|)' },
+]
+
+const PREVIEW_ROWS = 10
+const ERROR_LIMIT = 50
+
+// Reverse direction: JSON / NDJSON in, flattened CSV out. Rows are checked
+// against the same schema as the CSV path before download, matched to the
+// flattened columns by exact name and alias.
+export default function JsonUpload({ schema = [] }) {
+  const [fileName, setFileName] = useState('')
+  const [records, setRecords] = useState([])
+  const [readErrors, setReadErrors] = useState([])
+  const [arrays, setArrays] = useState('join')
+  const [delimiter, setDelimiter] = useState(',')
+  const [quoteAll, setQuoteAll] = useState(false)
+
+  async function onFile(f) {
+    if (!f) return
+    setFileName(f.name)
+    try {
+      const { records, errors } = parseJSONInput(await f.text())
+      setRecords(records)
+      setReadErrors(errors)
+    } catch (err) {
+      setRecords([])
+      setReadErrors([`Failed to read file: ${err.message}`])
+    }
+  }
+
+  const flat = useMemo(() => flattenRecords(records, { arrays }), [records, arrays])
+
+  const report = useMemo(() => {
+    // Records may leave out keys others have; those are empty cells, as in
+    // the CSV download, not missing columns.
+    const empty = Object.fromEntries(flat.headers.map(h => [h, '']))
+    const rows = flat.rows.map(row => ({ ...empty, ...row }))
+    return validateRows(rows, schemaForHeaders(schema, flat.headers)).report
+  }, [flat, schema])
+
+  function downloadCSV() {
+    const csv = Papa.unparse({ fields: flat.headers, data: flat.rows }, { delimiter, quotes: quoteAll, newline: '\r\n' })
+    saveAs(new Blob([csv], { type: 'text/csv;charset=utf-8' }), 'converted.csv')
+  }
+
+  function clear() {
+    setFileName('')
+    setRecords([])
+    setReadErrors([])
+  }
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <p className="section-title">Reverse · JSON → CSV</p>
+          <h2 className="text-xl font-semibold text-white">Upload JSON or NDJSON</h2>
+          <p className="text-sm text-slate-400">Nested objects become dot-path columns. Rows are validated against the schema below.</p>
+        </div>
+        <div className="chip">.json · .ndjson · .jsonl</div>
+      </div>
+
+      <label className="group flex cursor-pointer items-center justify-center gap-3 rounded-2xl border-2 border-dashed border-white/15 bg-white/5 px-6 py-5 text-center transition hover:border-emerald-400/50 hover:bg-emerald-400/5">
+        <span className="text-sm font-semibold text-white">{fileName || 'Drop a JSON file or click to browse'}</span>
+        <input
+          className="hidden"
+          type="file"
+          accept=".json,.ndjson,.jsonl,application/json"
+          onChange={(e) => { onFile(e.target.files?.[0] || null); e.target.value = '' }}
+        />
+      </label>
+
+      {readErrors.length > 0 && (
+        <ul className="list-disc list-inside space-y-1 text-sm text-rose-200">
+          {readErrors.slice(0, ERROR_LIMIT).map((e, i) => <li key={i}>{e}</li>)}
+        </ul>
+      )}
+
+      {records.length > 0 && (
+        <>
+          <div className="flex flex-wrap items-center gap-4 rounded-xl border border-white/10 bg-white/5 p-3 text-sm text-slate-200">
+            <label className="flex items-center gap-2">
+              <span className="text-slate-400">Arrays</span>
+              <select className="field w-auto py-1.5" value={arrays} onChange={(e) => setArrays(e.target.value)}>
+                <option value="join">join into one cell</option>
+                <option value="index">index columns (tags[0], tags[1])</option>
+                <option value="explode">explode into rows</option>
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="text-slate-400">Delimiter</span>
+              <select className="field w-auto py-1.5" value={delimiter} onChange={(e) => setDelimiter(e.target.value)}>
+                {DELIMITERS.map(d => <option key={d.label} value={d.value}>{d.label}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                className="accent-emerald-400"
+                checked={quoteAll}
+                onChange={(e) => setQuoteAll(e.target.checked)}
+              />
+              Quote every field
+            </label>
+          </div>
+
+          <div className="table-wrap">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr>
+                  {flat.headers.map(h => (
+                    <th key={h} className="border-b border-white/10 bg-slate-900/70 px-3 py-2 text-left text-[11px] uppercase tracking-wide text-white">{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {flat.rows.slice(0, PREVIEW_ROWS).map((row, i) => (
+                  <tr key={i}>
+                    {flat.headers.map(h => (
+                      <td key={h} className="whitespace-nowrap px-3 py-2 text-slate-100 border-b border-white/5 bg-slate-900/40">{String(row[h] ?? '')}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-slate-400">
+            {records.length} records → {flat.rows.length} rows × {flat.headers.length} columns. Showing first {Math.min(PREVIEW_ROWS, flat.rows.length)}.
+          </p>
+
+          {report.length > 0 ? (
+            <div className="space-y-1 text-sm text-rose-200">
+              <p className="font-semibold">{report.length} row(s) fail the schema</p>
+              <ul className="space-y-1">
+                {report.slice(0, ERROR_LIMIT).map(r => <li key={r.index}>Row {r.index}: {r.errors.map(e => e.message).join('; ')}</li>)}
+              </ul>
+            </div>
+          ) : <p className="text-sm text-emerald-200">All rows match the schema.</p>}
+
+          <div className="flex flex-wrap gap-2">
+            <button className="btn-primary" onClick={downloadCSV}>Download CSV</button>
+            <button className="btn-ghost" onClick={clear}>Clear</button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
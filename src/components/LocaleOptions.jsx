@@ -0,0 +1,72 @@
+import React from 'react'
+
+const DECIMALS = [
+  { value: '.', label: 'Decimal .' },
+  { value: ',', label: 'Decimal ,' },
+]
+
+const THOUSANDS = [
+  { value: ',', label: 'Thousands ,' },
+  { value: '.', label: 'Thousands .' },
+  { value: ' ', label: 'Thousands space' },
+  { value: "'", label: "Thousands '" },
+  { value: '', label: 'No grouping' },
+]
+
+const INHERIT = '__inherit'
+
+function Select({ value, options, inheritLabel, onChange }) {
+  return (
+    <select
+      className="field py-1.5"
+      value={value === undefined ? INHERIT : value}
+      onChange={(e) => onChange(e.target.value === INHERIT ? undefined : e.target.value)}
+    >
+      <option value={INHERIT}>{inheritLabel}</option>
+      {options.map(o => <option key={o.label} value={o.value}>{o.label}</option>)}
+    </select>
+  )
+}
+
+// Number/currency separators, currency symbols and date input format. Used
+// for the global defaults and, limited to the field's type, per field.
+export default function LocaleOptions({ value = {}, onChange, type, inheritLabel = 'default' }) {
+  const set = (k, v) => onChange({ ...value, [k]: v })
+  const numeric = !type || type === 'number' || type === 'currency'
+  const symbols = value.currencySymbols
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {numeric && (
+        <>
+          <div className="min-w-[8rem] flex-1">
+            <Select value={value.decimal} options={DECIMALS} inheritLabel={`Decimal: ${inheritLabel}`} onChange={v => set('decimal', v)} />
+          </div>
+          <div className="min-w-[8rem] flex-1">
+            <Select value={value.thousands} options={THOUSANDS} inheritLabel={`Thousands: ${inheritLabel}`} onChange={v => set('thousands', v)} />
+          </div>
+        </>
+      )}
+      {(!type || type === 'currency') && (
+        <input
+          key={(symbols || []).join(' ')}
+          className="field min-w-[8rem] flex-1 py-1.5"
+          placeholder="currency symbols, e.g. $ € CHF"
+          defaultValue={(symbols || []).join(' ')}
+          onBlur={(e) => {
+            const list = e.target.value.split(/\s+/).filter(Boolean)
+            set('currencySymbols', list.length ? list : undefined)
+          }}
+        />
+      )}
+      {(!type || type === 'date') && (
+        <input
+          className="field min-w-[8rem] flex-1 py-1.5 font-mono"
+          placeholder="date format, e.g. dd/MM/yyyy"
+          value={value.format ?? ''}
+          onChange={(e) => set('format', e.target.value || undefined)}
+        />
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,163 @@
+import React, { useMemo } from 'react'
+import Papa from 'papaparse'
+import { columnName, EMPTY_LINES, parseConfig } from '../utils/csv.js'
+
+const DELIMITERS = [
+  { value: '', label: 'Detect' },
+  { value: ',', label: 'Comma ,' },
+  { value: ';', label: 'Semicolon ;' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe |' },
+]
+
+const CUSTOM = '__custom'
+
+const PREVIEW_COLUMNS = 12
+
+const showDelimiter = d => (d === '\t' ? 'tab' : d)
+
+// What each raw line becomes: skipped, a comment, the header or data.
+function lineRoles(lines, settings) {
+  let headerSeen = !settings.header
+  return lines.map((line, i) => {
+    if (i < settings.skipRows) return 'skipped'
+    if (settings.comments && line.startsWith(settings.comments)) return 'comment'
+    if (!line.trim() && settings.emptyLines !== 'keep') return 'empty'
+    if (!headerSeen) {
+      headerSeen = true
+      return 'header'
+    }
+    return 'data'
+  })
+}
+
+const ROLE_STYLES = {
+  skipped: 'text-slate-600 line-through',
+  comment: 'text-slate-500 italic',
+  empty: 'text-slate-600',
+  header: 'text-emerald-200',
+  data: 'text-slate-200',
+}
+
+// Settings for reading a CSV, with the file's first lines as they will be
+// read. `sample` is the raw text of those lines; `detectedDelimiter` is what
+// the last parse used.
+export default function ParseSettings({ value, onChange, sample, detectedDelimiter }) {
+  const set = (k, v) => onChange({ ...value, [k]: v })
+  const custom = !DELIMITERS.some(d => d.value === value.delimiter)
+  const lines = useMemo(() => sample.split(/\r?\n/), [sample])
+  const roles = lineRoles(lines, value)
+
+  // The same settings applied to the sample, for the column list.
+  const columns = useMemo(() => {
+    const { data } = Papa.parse(sample, { ...parseConfig(value), header: false, delimiter: value.delimiter || detectedDelimiter || '', preview: 2 })
+    const first = data[0] || []
+    return value.header ? first : first.map((_, i) => columnName(i))
+  }, [sample, value, detectedDelimiter])
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 gap-3 text-sm text-slate-200 md:grid-cols-2 xl:grid-cols-4">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={value.header} onChange={e => set('header', e.target.checked)} />
+          <span>First row is a header</span>
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={value.trim} onChange={e => set('trim', e.target.checked)} />
+          <span>Trim whitespace around values</span>
+        </label>
+        <label className="space-y-1">
+          <span className="text-xs text-slate-400">Skip leading rows</span>
+          <input
+            type="number"
+            min="0"
+            className="field py-1.5"
+            value={value.skipRows}
+            onChange={e => set('skipRows', Math.max(0, Number(e.target.value) || 0))}
+          />
+        </label>
+        <label className="space-y-1">
+          <span className="text-xs text-slate-400">Comment lines start with</span>
+          <input
+            className="field py-1.5 font-mono"
+            placeholder="none, e.g. #"
+            value={value.comments}
+            onChange={e => set('comments', e.target.value)}
+          />
+        </label>
+        <label className="space-y-1">
+          <span className="text-xs text-slate-400">
+            Delimiter{!value.delimiter && detectedDelimiter ? ` (detected: ${showDelimiter(detectedDelimiter)})` : ''}
+          </span>
+          <div className="flex gap-2">
+            <select
+              className="field py-1.5"
+              value={custom ? CUSTOM : value.delimiter}
+              onChange={e => set('delimiter', e.target.value === CUSTOM ? (value.delimiter || detectedDelimiter || ',') : e.target.value)}
+            >
+              {DELIMITERS.map(d => <option key={d.label} value={d.value}>{d.label}</option>)}
+              <option value={CUSTOM}>Custom…</option>
+            </select>
+            {custom && (
+              <input
+                className="field w-24 py-1.5 font-mono"
+                placeholder="e.g. ||"
+                value={value.delimiter}
+                onChange={e => set('delimiter', e.target.value)}
+              />
+            )}
+          </div>
+        </label>
+        <label className="space-y-1">
+          <span className="text-xs text-slate-400">Quote / escape character</span>
+          <div className="flex gap-2">
+            <input
+              className="field py-1.5 font-mono"
+              maxLength={1}
+              value={value.quoteChar}
+              onChange={e => set('quoteChar', e.target.value)}
+            />
+            <input
+              className="field py-1.5 font-mono"
+              maxLength={1}
+              placeholder="same as quote"
+              value={value.escapeChar}
+              onChange={e => set('escapeChar', e.target.value)}
+            />
+          </div>
+        </label>
+        <label className="space-y-1 md:col-span-2">
+          <span className="text-xs text-slate-400">Empty lines</span>
+          <select className="field py-1.5" value={value.emptyLines} onChange={e => set('emptyLines', e.target.value)}>
+            {Object.entries(EMPTY_LINES).map(([k, o]) => <option key={k} value={k}>{o.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div className="space-y-2">
+        <p className="text-xs text-slate-400">
+          First lines of the file
+          <span className="ml-2 text-emerald-200">header</span>
+          <span className="ml-2 text-slate-500 line-through">skipped</span>
+          <span className="ml-2 italic text-slate-500">comment</span>
+        </p>
+        <pre className="max-h-64 overflow-auto rounded-xl border border-white/10 bg-black/30 p-3 text-xs leading-5">
+          {lines.map((line, i) => (
+            <div key={i} className={ROLE_STYLES[roles[i]]}>
+              <span className="mr-3 inline-block w-6 select-none text-right text-slate-600">{i + 1}</span>
+              {line || ' '}
+            </div>
+          ))}
+        </pre>
+        {columns.length > 0 && (
+          <p className="text-xs text-slate-400">
+            {columns.length} column{columns.length === 1 ? '' : 's'}:{' '}
+            <span className="font-mono text-slate-200">
+              {columns.slice(0, PREVIEW_COLUMNS).join(' · ')}{columns.length > PREVIEW_COLUMNS ? ' · …' : ''}
+            </span>
+          </p>
+        )}
+      </div>
+    </div>
+  )
+}
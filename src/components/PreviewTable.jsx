@@ -0,0 +1,293 @@
+import React, { useDeferredValue, useEffect, useMemo, useRef, useState } from 'react'
+import { prepareRow } from '../utils/transforms.js'
+import { cellText, FILTER_MODES } from '../utils/grid.js'
+
+const ROW_HEIGHT = 36
+const VIEWPORT_HEIGHT = 480
+const OVERSCAN = 8
+const PAGE_SIZES = [100, 500, 1000, 5000]
+
+// Data grid over the parsed rows: global search, per-column filters, sort,
+// "only rows with errors" and pagination. The rows stay in the worker;
+// `fetchPage` asks it for one page of the view at a time, again whenever
+// `version` (edits) or `rowErrors` change. Each page is virtualized: only
+// the rows inside the scroll viewport (plus a small overscan) are rendered.
+// Cells show values after the schema's transforms, so pipeline edits are live.
+// Highlights come from the validation report (`rowErrors`: row index -> errors).
+// Double-click a cell to edit its raw value; computed columns are read-only.
+// `jumpTo` ({ index }) scrolls to a row, clearing filters that hide it.
+export default function PreviewTable({
+  orderedHeaders,
+  rowCount,
+  version,
+  fetchPage,
+  schema,
+  columnErrorCount,
+  rowErrors,
+  editableColumns = [],
+  onEditCell,
+  readOnly,
+  jumpTo,
+  dragCol,
+  onHeaderDragStart,
+  onHeaderDragOver,
+  onHeaderDrop,
+}) {
+  const [scrollTop, setScrollTop] = useState(0)
+  const [editing, setEditing] = useState(null) // { rowIndex, column }
+  const [search, setSearch] = useState('')
+  const [filters, setFilters] = useState({}) // column -> { mode, text }
+  const [onlyInvalid, setOnlyInvalid] = useState(false)
+  const [sort, setSort] = useState(null) // { column, dir: 'asc' | 'desc' }
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[1])
+  const [page, setPage] = useState(0)
+  const [highlight, setHighlight] = useState(null)
+  const [pendingJump, setPendingJump] = useState(null)
+  const [data, setData] = useState(null) // { total, offset, rows: [{ index, row }] } from fetchPage
+  const scrollRef = useRef(null)
+
+  const deferredSearch = useDeferredValue(search)
+  const deferredFilters = useDeferredValue(filters)
+
+  const query = useMemo(
+    () => ({ columns: orderedHeaders, schema, search: deferredSearch, filters: deferredFilters, onlyInvalid, sort }),
+    [orderedHeaders, schema, deferredSearch, deferredFilters, onlyInvalid, sort]
+  )
+
+  const total = data?.total ?? 0
+  const pageCount = Math.max(1, Math.ceil(total / pageSize))
+  const currentPage = Math.min(page, pageCount - 1)
+  const pageRows = data?.rows ?? []
+
+  useEffect(() => {
+    let live = true
+    fetchPage({ query, offset: currentPage * pageSize, limit: pageSize }).then(result => { if (live) setData(result) })
+    return () => { live = false }
+  }, [query, currentPage, pageSize, version, rowErrors])
+
+  const filtering = !!(search || onlyInvalid || Object.values(filters).some(f => f.mode && (f.mode !== 'contains' || f.text)))
+
+  function goTo(p) {
+    setPage(p)
+    setScrollTop(0)
+    if (scrollRef.current) scrollRef.current.scrollTop = 0
+  }
+
+  function toggleSort(column) {
+    setSort(prev => {
+      if (prev?.column !== column) return { column, dir: 'asc' }
+      if (prev.dir === 'asc') return { column, dir: 'desc' }
+      return null
+    })
+    goTo(0)
+  }
+
+  function setFilter(column, patch) {
+    setFilters(prev => ({ ...prev, [column]: { mode: 'contains', text: '', ...prev[column], ...patch } }))
+    goTo(0)
+  }
+
+  function clearFilters() {
+    setSearch('')
+    setFilters({})
+    setOnlyInvalid(false)
+    goTo(0)
+  }
+
+  useEffect(() => {
+    if (jumpTo) setPendingJump(jumpTo)
+  }, [jumpTo])
+
+  // The deferred inputs can lag a render behind; only jump on a settled view.
+  // Runs again after filters are cleared, once the view includes the row.
+  const settled = deferredSearch === search && deferredFilters === filters
+  useEffect(() => {
+    if (!pendingJump || !settled) return
+    let live = true
+    fetchPage({ query, offset: 0, limit: pageSize, find: pendingJump.index }).then(result => {
+      if (!live) return
+      if (result.at === -1) {
+        if (filtering) clearFilters()
+        else setPendingJump(null)
+        return
+      }
+      const top = (result.at % pageSize) * ROW_HEIGHT
+      setData(result)
+      setPage(result.offset / pageSize)
+      setScrollTop(top)
+      setHighlight(pendingJump.index)
+      setPendingJump(null)
+      requestAnimationFrame(() => {
+        if (scrollRef.current) {
+          scrollRef.current.scrollTop = Math.max(0, top - VIEWPORT_HEIGHT / 3)
+          scrollRef.current.scrollIntoView({ block: 'nearest', behavior: 'smooth' })
+        }
+      })
+    })
+    return () => { live = false }
+  }, [pendingJump, query, settled])
+
+  function commit(raw, rowIndex, column, value) {
+    setEditing(null)
+    if (value !== String(raw[column] ?? '')) onEditCell(rowIndex, column, value)
+  }
+
+  const visibleCount = Math.ceil(VIEWPORT_HEIGHT / ROW_HEIGHT)
+  const start = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN)
+  const end = Math.min(pageRows.length, start + visibleCount + OVERSCAN * 2)
+  const topPad = start * ROW_HEIGHT
+  const bottomPad = (pageRows.length - end) * ROW_HEIGHT
+  const firstShown = total ? currentPage * pageSize + 1 : 0
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-slate-200">
+        <input
+          className="field w-64 py-1.5"
+          placeholder="Search all columns…"
+          value={search}
+          onChange={(e) => { setSearch(e.target.value); goTo(0) }}
+        />
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            className="accent-emerald-400"
+            checked={onlyInvalid}
+            onChange={(e) => { setOnlyInvalid(e.target.checked); goTo(0) }}
+          />
+          Only rows with errors
+        </label>
+        {filtering && <button className="btn-quiet" onClick={clearFilters}>Clear filters</button>}
+        <span className="ml-auto text-xs text-slate-400">
+          {total.toLocaleString()} of {rowCount.toLocaleString()} rows
+          {sort ? ` · sorted by ${sort.column} (${sort.dir})` : ''}
+        </span>
+      </div>
+
+      <div
+        ref={scrollRef}
+        className="table-wrap overflow-y-auto"
+        style={{ maxHeight: VIEWPORT_HEIGHT }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr>
+              <th className="sticky top-0 z-10 border-b border-white/10 bg-slate-900/90 px-3 py-2 text-right text-[11px] text-slate-500">#</th>
+              {orderedHeaders.map(h => {
+                const f = schema.find(x => x.name === h)
+                const t = f?.type
+                const req = !!f?.required
+                const errCount = columnErrorCount[h] || 0
+                const filter = filters[h] || { mode: 'contains', text: '' }
+                return (
+                  <th
+                    key={h}
+                    draggable
+                    onDragStart={(e)=>onHeaderDragStart(h, e)}
+                    onDragOver={(e)=>onHeaderDragOver(h, e)}
+                    onDrop={(e)=>onHeaderDrop(h, e)}
+                    aria-grabbed={dragCol === h ? 'true' : 'false'}
+                    aria-sort={sort?.column === h ? (sort.dir === 'asc' ? 'ascending' : 'descending') : 'none'}
+                    title="Drag to reorder · click the name to sort"
+                    className={`sticky top-0 z-10 border-b border-white/10 bg-slate-900/90 px-3 py-2 text-left align-top text-[11px] uppercase tracking-wide text-slate-400 cursor-grab select-none ${dragCol && dragCol!==h ? 'opacity-60' : ''}`}
+                  >
+                    <div className="flex items-center gap-2">
+                      <button className="text-white hover:text-emerald-200" onClick={() => toggleSort(h)}>
+                        {h}{sort?.column === h ? (sort.dir === 'asc' ? ' ▲' : ' ▼') : ''}
+                      </button>
+                      {t && <span className="text-xs text-slate-500">({t}{req ? ' • req' : ''})</span>}
+                      {errCount > 0 && (
+                        <span className="badge-err" title={`${errCount} cell(s) failing validation`}>
+                          {errCount}
+                        </span>
+                      )}
+                    </div>
+                    <div className="mt-1 flex gap-1 normal-case tracking-normal">
+                      <select
+                        className="field w-auto px-1 py-0.5 text-xs"
+                        value={filter.mode}
+                        onChange={(e) => setFilter(h, { mode: e.target.value })}
+                      >
+                        {Object.entries(FILTER_MODES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                      </select>
+                      {filter.mode === 'contains' && (
+                        <input
+                          className="field min-w-[6rem] px-2 py-0.5 text-xs"
+                          placeholder="filter"
+                          value={filter.text}
+                          onChange={(e) => setFilter(h, { text: e.target.value })}
+                        />
+                      )}
+                    </div>
+                  </th>
+                )
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {topPad > 0 && <tr style={{ height: topPad }} aria-hidden="true" />}
+            {pageRows.slice(start, end).map(({ index: rowIndex, row: raw }) => {
+              const row = prepareRow(raw, schema)
+              const errors = rowErrors.get(rowIndex)
+              return (
+                <tr
+                  key={rowIndex}
+                  style={{ height: ROW_HEIGHT }}
+                  className={highlight === rowIndex ? 'bg-emerald-400/15' : errors ? 'bg-rose-500/5' : 'bg-white/0'}
+                >
+                  <td className="whitespace-nowrap border-b border-white/5 px-3 py-2 text-right text-xs text-slate-500">{rowIndex}</td>
+                  {orderedHeaders.map(h => {
+                    const cellErrors = errors?.filter(e => e.column === h)
+                    const bad = cellErrors?.length > 0
+                    const editable = !readOnly && onEditCell && editableColumns.includes(h)
+                    const isEditing = editing?.rowIndex === rowIndex && editing.column === h
+                    return (
+                      <td
+                        key={h}
+                        title={bad ? cellErrors.map(e => e.message).join('\n') : undefined}
+                        onDoubleClick={editable ? () => setEditing({ rowIndex, column: h }) : undefined}
+                        className={`whitespace-nowrap px-3 py-2 text-slate-100 border-b border-white/5 ${bad ? 'bg-rose-500/10 text-rose-50' : 'bg-slate-900/40'} ${editable ? 'cursor-text' : ''}`}
+                      >
+                        {isEditing ? (
+                          <input
+                            autoFocus
+                            className="field -my-1 py-1"
+                            defaultValue={String(raw[h] ?? '')}
+                            onBlur={(e) => commit(raw, rowIndex, h, e.target.value)}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') e.currentTarget.blur()
+                              if (e.key === 'Escape') { e.currentTarget.value = String(raw[h] ?? ''); e.currentTarget.blur() }
+                            }}
+                          />
+                        ) : cellText(row[h])}
+                      </td>
+                    )
+                  })}
+                </tr>
+              )
+            })}
+            {bottomPad > 0 && <tr style={{ height: bottomPad }} aria-hidden="true" />}
+          </tbody>
+        </table>
+        {data && total === 0 && <p className="p-4 text-sm text-slate-400">No rows match the current filters.</p>}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs text-slate-400">
+        <button className="btn-quiet" onClick={() => goTo(0)} disabled={currentPage === 0}>«</button>
+        <button className="btn-quiet" onClick={() => goTo(currentPage - 1)} disabled={currentPage === 0}>‹</button>
+        <span>
+          Page {currentPage + 1} of {pageCount} · rows {firstShown.toLocaleString()}–{(currentPage * pageSize + pageRows.length).toLocaleString()}
+        </span>
+        <button className="btn-quiet" onClick={() => goTo(currentPage + 1)} disabled={currentPage >= pageCount - 1}>›</button>
+        <button className="btn-quiet" onClick={() => goTo(pageCount - 1)} disabled={currentPage >= pageCount - 1}>»</button>
+        <label className="ml-auto flex items-center gap-2">
+          Rows per page
+          <select className="field w-auto py-1" value={pageSize} onChange={(e) => { setPageSize(Number(e.target.value)); goTo(0) }}>
+            {PAGE_SIZES.map(n => <option key={n} value={n}>{n.toLocaleString()}</option>)}
+          </select>
+        </label>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,191 @@
+import React, { useState } from 'react'
+import { saveAs } from 'file-saver'
+import { patternToRegex } from '../utils/profile.js'
+
+function Histogram({ bins, of }) {
+  const peak = Math.max(...bins.map(b => b.count), 1)
+  return (
+    <div>
+      <div className="flex h-12 items-end gap-0.5">
+        {bins.map((b, i) => (
+          <div
+            key={i}
+            className="flex-1 rounded-t bg-emerald-400/60"
+            style={{ height: `${Math.max(2, (b.count / peak) * 100)}%` }}
+            title={`${b.from} – ${b.to}: ${b.count.toLocaleString()}`}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between text-[10px] text-slate-500">
+        <span>{bins[0].from}</span>
+        <span>{of}</span>
+        <span>{bins[bins.length - 1].to}</span>
+      </div>
+    </div>
+  )
+}
+
+// Schema edits a profile supports for the field mapped to its column.
+function profileActions(p, field, wholeFile) {
+  const actions = []
+  const format = p.dates?.format && !/^(yyyy-MM-dd|ISO)/.test(p.dates.format) ? p.dates.format : undefined
+  const typePatch = format ? { type: p.type, format } : { type: p.type }
+  if (!field) actions.push({ label: `Add as ${p.type} field`, patch: typePatch })
+  else if (p.type !== field.type) actions.push({ label: `Set type to ${p.type}`, patch: typePatch })
+  else if (format && field.format !== format) actions.push({ label: `Date format ${format}`, patch: { format } })
+  if (p.nonEmpty > 0 && p.empty === 0 && !field?.required) actions.push({ label: 'Make required', patch: { required: true } })
+  if (p.values && p.distinct < p.nonEmpty && p.type === 'string' && !field?.enum) {
+    actions.push({ label: `Enum of ${p.distinct} values`, patch: { enum: p.values } })
+  }
+  if (wholeFile && p.nonEmpty > 1 && p.distinct === p.nonEmpty && !field?.unique) actions.push({ label: 'Mark unique', patch: { unique: true } })
+  if (p.numeric) actions.push({ label: `Range ${p.numeric.min} – ${p.numeric.max}`, patch: { min: p.numeric.min, max: p.numeric.max } })
+  if (p.type === 'string' && p.length) {
+    actions.push({ label: `Length ${p.length.min} – ${p.length.max}`, patch: { minLength: p.length.min, maxLength: p.length.max } })
+  }
+  const only = p.patternCount === 1 && p.patterns[0]
+  if (p.type === 'string' && only && !only.pattern.endsWith('…') && !field?.pattern) {
+    const pattern = patternToRegex(only.pattern)
+    actions.push({ label: `Pattern ${pattern}`, patch: { pattern } })
+  }
+  return actions
+}
+
+// Per-column profile of the loaded rows, computed on demand by `onProfile`
+// (the rows live in the worker). Each card can push what it found into the
+// schema field mapped to that column. `version` changes with the rows.
+export default function ProfilePanel({ rowCount, version, onProfile, headers, schema, mapping, onApply }) {
+  const [profile, setProfile] = useState(null)
+  const [profiledVersion, setProfiledVersion] = useState(null)
+  const [working, setWorking] = useState(false)
+
+  async function run() {
+    setWorking(true)
+    try {
+      setProfile(await onProfile())
+      setProfiledVersion(version)
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  function exportJSON() {
+    saveAs(new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json;charset=utf-8' }), 'profile.json')
+  }
+
+  const stale = profile && profiledVersion !== version
+  const wholeFile = profile && profile.sampled === profile.rows
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <p className="section-title">Profile</p>
+          <h2 className="text-xl font-semibold text-white">What's in each column</h2>
+          <p className="text-sm text-slate-400">
+            Empties, distinct and top values, ranges, lengths and value shapes, before you write the schema.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button className="btn-ghost" onClick={run} disabled={working || !rowCount}>
+            {working ? 'Profiling…' : profile ? 'Refresh profile' : 'Profile columns'}
+          </button>
+          {profile && <button className="btn-quiet" onClick={exportJSON}>Export JSON</button>}
+        </div>
+      </div>
+
+      {profile && (
+        <p className="text-xs text-slate-400">
+          {profile.sampled < profile.rows
+            ? `Sampled ${profile.sampled.toLocaleString()} of ${profile.rows.toLocaleString()} rows; distinct counts cover the sample only.`
+            : `${profile.rows.toLocaleString()} rows.`}
+          {stale && <span className="text-amber-200"> The data changed since; refresh to update.</span>}
+        </p>
+      )}
+
+      {profile && (
+        <div className="grid grid-cols-1 gap-4 md:grid-cols-2 xl:grid-cols-3">
+          {headers.filter(h => profile.columns[h]).map(h => {
+            const p = profile.columns[h]
+            const field = schema.find(f => f.name === (mapping[h] || h))
+            const total = p.empty + p.nonEmpty
+            return (
+              <div key={h} className="space-y-3 rounded-2xl border border-white/10 bg-white/5 p-4 text-sm text-slate-200">
+                <div className="flex items-start justify-between gap-2">
+                  <p className="font-semibold text-white break-all">{h}</p>
+                  <span className="chip whitespace-nowrap">{p.type} · {Math.round(p.confidence * 100)}%</span>
+                </div>
+                <div className="grid grid-cols-2 gap-x-3 gap-y-1 text-xs">
+                  <span className="text-slate-400">Empty</span>
+                  <span className={p.empty ? 'text-amber-200' : ''}>{p.empty.toLocaleString()} ({total ? Math.round((p.empty / total) * 100) : 0}%)</span>
+                  <span className="text-slate-400">Distinct</span>
+                  <span>{p.distinct.toLocaleString()}</span>
+                  {p.numeric && (
+                    <>
+                      <span className="text-slate-400">Min / max</span>
+                      <span>{p.numeric.min} / {p.numeric.max}</span>
+                      <span className="text-slate-400">Mean</span>
+                      <span>{p.numeric.mean}</span>
+                    </>
+                  )}
+                  {p.dates && (
+                    <>
+                      <span className="text-slate-400">Dates</span>
+                      <span>{p.dates.min} → {p.dates.max}</span>
+                    </>
+                  )}
+                  {p.length && (
+                    <>
+                      <span className="text-slate-400">Length</span>
+                      <span>{p.length.min === p.length.max ? p.length.min : `${p.length.min} – ${p.length.max}`}</span>
+                    </>
+                  )}
+                </div>
+
+                {p.top.length > 0 && (
+                  <div className="space-y-1">
+                    <p className="text-xs text-slate-400">Top values</p>
+                    <ul className="space-y-0.5 text-xs">
+                      {p.top.slice(0, 5).map(t => (
+                        <li key={t.value} className="flex justify-between gap-2">
+                          <span className="truncate font-mono">{t.value}</span>
+                          <span className="text-slate-400">{t.count.toLocaleString()}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {p.patterns.length > 0 && (
+                  <div className="space-y-1">
+                    <p className="text-xs text-slate-400">Patterns{p.patternCount > p.patterns.length ? ` (${p.patternCount} shapes)` : ''}</p>
+                    <div className="flex flex-wrap gap-1 text-xs">
+                      {p.patterns.map(x => (
+                        <span key={x.pattern} className="rounded bg-black/30 px-1.5 py-0.5 font-mono" title={`${x.count.toLocaleString()} values`}>
+                          {x.pattern}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {p.histogram && <Histogram bins={p.histogram} of={p.histogramOf} />}
+
+                <div className="flex flex-wrap gap-1">
+                  {profileActions(p, field, wholeFile).map(a => (
+                    <button
+                      key={a.label}
+                      className="rounded-full border border-emerald-400/30 px-2 py-0.5 text-xs text-emerald-200 hover:bg-emerald-400/10"
+                      onClick={() => onApply(h, a.patch)}
+                    >
+                      {a.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,57 @@
+import React, { useState } from 'react'
+import { parseReference, referenceName } from '../utils/references.js'
+
+// Reference datasets for foreign keys, kept next to the schema. Uploading a
+// file under an existing name replaces it.
+export default function ReferenceManager({ references, onChange }) {
+  const [error, setError] = useState(null)
+  const entries = Object.entries(references)
+
+  async function onFile(e) {
+    const f = e.target.files?.[0]
+    e.target.value = ''
+    if (!f) return
+    try {
+      const ref = await parseReference(await f.text(), f.name)
+      onChange({ ...references, [referenceName(f.name)]: ref })
+      setError(null)
+    } catch (err) {
+      setError(`Could not read ${f.name}: ${err.message}`)
+    }
+  }
+
+  function remove(name) {
+    const next = { ...references }
+    delete next[name]
+    onChange(next)
+  }
+
+  return (
+    <div className="space-y-2 rounded-xl border border-white/10 bg-white/5 p-3 text-sm text-slate-200">
+      <div className="flex items-center justify-between gap-3">
+        <p className="text-slate-300">Reference data</p>
+        <label className="btn-quiet cursor-pointer">
+          Add reference (CSV/JSON)
+          <input type="file" accept=".csv,.tsv,.txt,.json,.ndjson,.jsonl" onChange={onFile} className="hidden" />
+        </label>
+      </div>
+      <p className="text-xs text-slate-400">
+        Master lists (customers, products…) that fields can reference under "Foreign key". Values missing from the reference are flagged, and reference columns can be joined into the export.
+      </p>
+      {entries.length > 0 && (
+        <ul className="space-y-1">
+          {entries.map(([name, ref]) => (
+            <li key={name} className="flex flex-wrap items-center gap-2">
+              <span className="font-mono text-emerald-200">{name}</span>
+              <span className="text-xs text-slate-400">
+                {ref.source} · {ref.rows.length.toLocaleString()} rows · {ref.columns.join(', ')}
+              </span>
+              <button className="ml-auto text-xs text-slate-400 hover:text-rose-300" onClick={() => remove(name)}>Remove</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <p className="text-xs text-rose-200">{error}</p>}
+    </div>
+  )
+}
@@ -1,18 +1,104 @@
 import React, { useEffect, useMemo, useState } from "react";
-import { required } from "../utils/validators";
+import { COMPARE_OPS, FIELD_REF_KEYS, fieldRefs, required } from "../utils/validators";
+import { expressionError, TRANSFORM_OPS } from "../utils/transforms";
+import TransformEditor from "./TransformEditor.jsx";
+import LocaleOptions from "./LocaleOptions.jsx";
+import FieldRules from "./FieldRules.jsx";
+import ForeignKeyEditor from "./ForeignKeyEditor.jsx";
 
 const TYPE_OPTIONS = ['string', 'number', 'currency', 'date', 'boolean', 'email']
 
+const NUMERIC_TYPES = ['number', 'currency']
+
+const LOCALE_TYPES = ['number', 'currency', 'date']
+const LOCALE_KEYS = ['decimal', 'thousands', 'currencySymbols', 'format']
+
+function optionalNumber(v) {
+    if (v === '' || v === null || v === undefined) return undefined
+    const n = Number(v)
+    return Number.isFinite(n) ? n : undefined
+}
+
+function nameList(v) {
+    return Array.isArray(v) && v.length ? v.map(String) : undefined
+}
+
+function normalizeRequiredIf(v) {
+    if (!v?.field) return undefined
+    return v.equals === undefined ? { field: String(v.field) } : { field: String(v.field), equals: v.equals }
+}
+
+function normalizeForeignKey(v) {
+    if (!v || typeof v !== 'object') return undefined
+    if (Array.isArray(v.values)) return { values: v.values.map(String) }
+    if (!v.reference) return undefined
+    return {
+        reference: String(v.reference),
+        column: v.column ? String(v.column) : undefined,
+        join: v.join && typeof v.join === 'object' && Object.keys(v.join).length ? v.join : undefined,
+    }
+}
+
+// Constraints are optional: unset ones stay undefined so they drop out of the JSON.
 function normalizeFields(maybeArray) {
     if (!Array.isArray(maybeArray)) return []
     return maybeArray.map(f => ({
         name: String(f?.name ?? '').trim(),
         type: TYPE_OPTIONS.includes(f?.type) ? f.type : 'string',
-        required: Boolean(f?.required)
+        required: Boolean(f?.required),
+        min: optionalNumber(f?.min),
+        max: optionalNumber(f?.max),
+        minLength: optionalNumber(f?.minLength),
+        maxLength: optionalNumber(f?.maxLength),
+        pattern: typeof f?.pattern === 'string' && f.pattern ? f.pattern : undefined,
+        enum: Array.isArray(f?.enum) && f.enum.length ? f.enum.map(String) : undefined,
+        unique: f?.unique ? true : undefined,
+        path: typeof f?.path === 'string' && f.path.trim() ? f.path.trim() : undefined,
+        aliases: Array.isArray(f?.aliases) && f.aliases.length ? f.aliases.map(String) : undefined,
+        transforms: Array.isArray(f?.transforms) && f.transforms.length
+            ? f.transforms.filter(t => t && TRANSFORM_OPS[t.op])
+            : undefined,
+        expression: typeof f?.expression === 'string' && f.expression.trim() ? f.expression : undefined,
+        decimal: typeof f?.decimal === 'string' && f.decimal ? f.decimal : undefined,
+        thousands: typeof f?.thousands === 'string' ? f.thousands : undefined,
+        currencySymbols: Array.isArray(f?.currencySymbols) && f.currencySymbols.length ? f.currencySymbols.map(String) : undefined,
+        format: typeof f?.format === 'string' && f.format.trim() ? f.format : undefined,
+        requiredIf: normalizeRequiredIf(f?.requiredIf),
+        compare: Array.isArray(f?.compare) && f.compare.some(c => c?.field)
+            ? f.compare.filter(c => c?.field).map(c => ({ op: COMPARE_OPS.includes(c.op) ? c.op : '=', field: String(c.field) }))
+            : undefined,
+        exclusiveWith: nameList(f?.exclusiveWith),
+        atLeastOneOf: nameList(f?.atLeastOneOf),
+        uniqueWith: nameList(f?.uniqueWith),
+        foreignKey: normalizeForeignKey(f?.foreignKey),
     }))
 }
 
-export default function SchemaBuilder({ schemaText, setSchemaText, headers = [], onUseHeaders }) {
+// Comma-separated list input, shared by allowed values and aliases.
+function parseList(text) {
+    const values = text.split(',').map(v => v.trim()).filter(Boolean)
+    return values.length ? values : undefined
+}
+
+function InferenceNote({ info, field, onEnum }) {
+    const pct = Math.round(info.confidence * 100)
+    return (
+        <div className="space-y-1 text-xs text-slate-400">
+            <p>
+                Inferred <span className="text-slate-200">{info.type}</span> · {info.detail} · {pct}% of {info.nonEmpty} values
+                {info.empty > 0 ? ` · ${info.empty} empty` : ' · never empty'}
+                {info.sampled < info.total ? ` · sampled ${info.sampled} of ${info.total} rows` : ''}
+            </p>
+            {info.suggestedEnum && !field.enum && (
+                <button className="text-emerald-300 hover:text-emerald-200" onClick={() => onEnum(info.suggestedEnum)}>
+                    Use {info.suggestedEnum.length} distinct values as enum: {info.suggestedEnum.join(', ')}
+                </button>
+            )}
+        </div>
+    )
+}
+
+export default function SchemaBuilder({ schemaText, setSchemaText, headers = [], onUseHeaders, inference, references = {} }) {
     const [rows, setRows] = useState([])
     const [dragIndex, setDragIndex] = useState(null)
     const [overIndex, setOverIndex] = useState(null)
@@ -34,11 +120,12 @@ export default function SchemaBuilder({ schemaText, setSchemaText, headers = [],
     function removeRow(i) { push(rows.filter((_, idx) => idx !== i)) }
     function updateRow(i, k, v) {const n = rows.slice(); n[i] = { ...n[i], [k]: v }; push(n) }
 
+    // Types come from whole-column inference in the parent; without it every
+    // header starts out as an optional string.
     function useHeaders() {
         if (!headers.length) return
-        const inferred = headers.map(h => ({ name: h, type: 'string', required: false }))
-        push(inferred)
-        onUseHeaders && onUseHeaders(inferred)
+        if (onUseHeaders) return onUseHeaders()
+        push(headers.map(h => ({ name: h, type: 'string', required: false })))
     }
 
     function onDragStart(i, e) {
@@ -76,9 +163,43 @@ export default function SchemaBuilder({ schemaText, setSchemaText, headers = [],
                 seen.add(r.name)
             }
             if (!TYPE_OPTIONS.includes(r.type)) e.push(`Row ${i+1}: invalid type "${r.type}"`)
+            if (r.min != null && r.max != null && r.min > r.max) e.push(`Row ${i+1}: min is greater than max`)
+            if (r.minLength != null && r.maxLength != null && r.minLength > r.maxLength) {
+                e.push(`Row ${i+1}: min length is greater than max length`)
+            }
+            if (r.pattern) {
+                try { new RegExp(r.pattern) } catch { e.push(`Row ${i+1}: invalid pattern "${r.pattern}"`) }
+            }
+            if (r.expression) {
+                const err = expressionError(r.expression)
+                if (err) e.push(`Row ${i+1}: expression error: ${err}`)
+            }
+            ;(r.transforms || []).forEach((t, j) => {
+                if (t.op === 'replace' && t.pattern) {
+                    try { new RegExp(t.pattern, t.flags ?? 'g') } catch { e.push(`Row ${i+1}: transform ${j+1} has an invalid regex`) }
+                }
+                if (t.op === 'date' && !t.from) e.push(`Row ${i+1}: transform ${j+1} needs an input date format`)
+            })
+            if (r.decimal && r.decimal === r.thousands) e.push(`Row ${i+1}: decimal and thousands separators are the same`)
+            if (r.format && !/yyyy|yy/.test(r.format)) e.push(`Row ${i+1}: date format "${r.format}" has no year (yyyy or yy)`)
+            for (const ref of new Set(fieldRefs(r))) {
+                if (ref === r.name) e.push(`Row ${i+1}: a rule refers to the field itself`)
+                else if (!list.some(x => x.name === ref)) e.push(`Row ${i+1}: a rule refers to unknown field "${ref}"`)
+            }
+            const fk = r.foreignKey
+            if (fk?.reference) {
+                const ref = references[fk.reference]
+                if (!ref) e.push(`Row ${i+1}: reference "${fk.reference}" is not loaded, so the foreign key is not checked`)
+                else {
+                    if (!ref.columns.includes(fk.column)) e.push(`Row ${i+1}: reference "${fk.reference}" has no column "${fk.column}"`)
+                    for (const c of Object.values(fk.join || {})) {
+                        if (!ref.columns.includes(c)) e.push(`Row ${i+1}: joined column "${c}" is not in "${fk.reference}"`)
+                    }
+                }
+            }
         })
         return e
-    }, [rows])
+    }, [rows, references])
 
     return (
         <div className="space-y-4">
@@ -126,6 +247,137 @@ export default function SchemaBuilder({ schemaText, setSchemaText, headers = [],
                             </select>
                         </div>
 
+                        {inference?.[r.name] && <InferenceNote info={inference[r.name]} field={r} onEnum={values => updateRow(i, 'enum', values)} />}
+
+                        <input
+                            key={(r.aliases || []).join(',')}
+                            className="field"
+                            placeholder="aliases, e.g. E-mail, Email Address"
+                            defaultValue={(r.aliases || []).join(', ')}
+                            onBlur={e => updateRow(i, 'aliases', parseList(e.target.value))}
+                        />
+
+                        <details className="space-y-2 text-xs text-slate-300" open={!!(r.transforms?.length || r.expression)}>
+                            <summary className="cursor-pointer select-none text-slate-400">
+                                Transforms{r.transforms?.length ? ` (${r.transforms.length})` : ''}{r.expression ? ' · computed' : ''}
+                            </summary>
+                            <input
+                                className="field font-mono"
+                                placeholder='computed, e.g. first + " " + last'
+                                value={r.expression ?? ''}
+                                onChange={e => updateRow(i, 'expression', e.target.value || undefined)}
+                            />
+                            <TransformEditor
+                                steps={r.transforms || []}
+                                onChange={steps => updateRow(i, 'transforms', steps.length ? steps : undefined)}
+                            />
+                        </details>
+
+                        <input
+                            className="field font-mono"
+                            placeholder="output path (nested export), e.g. address.postal_code"
+                            value={r.path ?? ''}
+                            onChange={e => updateRow(i, 'path', e.target.value || undefined)}
+                        />
+
+                        {LOCALE_TYPES.includes(r.type) && (
+                            <details className="space-y-2 text-xs text-slate-300" open={LOCALE_KEYS.some(k => r[k] !== undefined)}>
+                                <summary className="cursor-pointer select-none text-slate-400">Format</summary>
+                                <LocaleOptions
+                                    value={r}
+                                    type={r.type}
+                                    inheritLabel="global"
+                                    onChange={next => push(rows.map((x, idx) => idx === i ? next : x))}
+                                />
+                            </details>
+                        )}
+
+                        <details className="space-y-2 text-xs text-slate-300">
+                            <summary className="cursor-pointer select-none text-slate-400">Constraints</summary>
+                            {NUMERIC_TYPES.includes(r.type) && (
+                                <div className="flex gap-2">
+                                    <input
+                                        type="number"
+                                        className="field"
+                                        placeholder="min"
+                                        value={r.min ?? ''}
+                                        onChange={e => updateRow(i, 'min', optionalNumber(e.target.value))}
+                                    />
+                                    <input
+                                        type="number"
+                                        className="field"
+                                        placeholder="max"
+                                        value={r.max ?? ''}
+                                        onChange={e => updateRow(i, 'max', optionalNumber(e.target.value))}
+                                    />
+                                </div>
+                            )}
+                            {!NUMERIC_TYPES.includes(r.type) && (
+                                <>
+                                    <div className="flex gap-2">
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            className="field"
+                                            placeholder="min length"
+                                            value={r.minLength ?? ''}
+                                            onChange={e => updateRow(i, 'minLength', optionalNumber(e.target.value))}
+                                        />
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            className="field"
+                                            placeholder="max length"
+                                            value={r.maxLength ?? ''}
+                                            onChange={e => updateRow(i, 'maxLength', optionalNumber(e.target.value))}
+                                        />
+                                    </div>
+                                    <input
+                                        className="field font-mono"
+                                        placeholder="pattern, e.g. ^[A-Z]{3}-\d{4}$"
+                                        value={r.pattern ?? ''}
+                                        onChange={e => updateRow(i, 'pattern', e.target.value || undefined)}
+                                    />
+                                </>
+                            )}
+                            <input
+                                key={(r.enum || []).join(',')}
+                                className="field"
+                                placeholder="allowed values, comma-separated"
+                                defaultValue={(r.enum || []).join(', ')}
+                                onBlur={e => updateRow(i, 'enum', parseList(e.target.value))}
+                            />
+                            <label className="flex items-center gap-2">
+                                <input
+                                    type="checkbox"
+                                    className="accent-emerald-400"
+                                    checked={!!r.unique}
+                                    onChange={e => updateRow(i, 'unique', e.target.checked || undefined)}
+                                />
+                                unique values
+                            </label>
+                        </details>
+
+                        <details className="space-y-2 text-xs text-slate-300" open={!!r.foreignKey}>
+                            <summary className="cursor-pointer select-none text-slate-400">
+                                Foreign key{r.foreignKey?.reference ? ` · ${r.foreignKey.reference}.${r.foreignKey.column ?? '?'}` : r.foreignKey ? ' · list' : ''}
+                            </summary>
+                            <ForeignKeyEditor
+                                field={r}
+                                references={references}
+                                onChange={next => push(rows.map((x, idx) => idx === i ? next : x))}
+                            />
+                        </details>
+
+                        <details className="space-y-2 text-xs text-slate-300" open={FIELD_REF_KEYS.some(k => r[k] !== undefined)}>
+                            <summary className="cursor-pointer select-none text-slate-400">Cross-field rules</summary>
+                            <FieldRules
+                                field={r}
+                                names={rows.filter((x, idx) => idx !== i && x.name).map(x => x.name)}
+                                onChange={next => push(rows.map((x, idx) => idx === i ? next : x))}
+                            />
+                        </details>
+
                         <div className="flex justify-end">
                             <button className="btn-quiet" onClick={() => removeRow(i)}>Delete</button>
                         </div>
@@ -0,0 +1,321 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import {
+  deleteSchema,
+  duplicateSchema,
+  listSchemas,
+  listVersions,
+  rollbackSchema,
+  saveSchema,
+  searchSchemas,
+  updateSchemaInfo,
+} from '../utils/schemaLibrary.js'
+import { describeValue, diffSchemas } from '../utils/schemaDiff.js'
+
+const ACTIVE_KEY = 'schemaLibraryActive'
+
+const STATUS_STYLES = {
+  added: 'bg-emerald-500/10',
+  removed: 'bg-rose-500/10',
+  changed: 'bg-amber-500/10',
+  same: '',
+}
+
+const when = iso => new Date(iso).toLocaleString()
+
+function parseSchema(text) {
+  try {
+    const parsed = JSON.parse(text)
+    return Array.isArray(parsed) ? parsed : null
+  } catch {
+    return null
+  }
+}
+
+// One side of a diff row: the field's properties, changed ones highlighted.
+function FieldCell({ field, keys }) {
+  if (!field) return <td className="px-3 py-2 text-slate-500">—</td>
+  return (
+    <td className="px-3 py-2 align-top">
+      <ul className="space-y-0.5 font-mono">
+        {Object.entries(field).filter(([k]) => k !== 'name').map(([k, v]) => (
+          <li key={k} className={keys.includes(k) ? 'text-amber-200' : 'text-slate-300'}>
+            {k}: {describeValue(v)}
+          </li>
+        ))}
+        {keys.filter(k => !(k in field)).map(k => <li key={k} className="text-slate-500">{k}: —</li>)}
+      </ul>
+    </td>
+  )
+}
+
+function VersionDiff({ versions, from, to }) {
+  const a = versions.find(v => v.version === from)
+  const b = versions.find(v => v.version === to)
+  const diff = useMemo(() => (a && b ? diffSchemas(a.schema, b.schema) : null), [a, b])
+  if (!diff) return null
+  const { counts } = diff
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-slate-400">
+        v{from} → v{to}: {counts.added} added, {counts.removed} removed, {counts.changed} changed
+        {diff.reordered ? ', fields reordered' : ''}
+      </p>
+      <div className="table-wrap max-h-96 overflow-auto">
+        <table className="w-full text-left text-xs">
+          <thead className="text-slate-400">
+            <tr>
+              <th className="px-3 py-2">Field</th>
+              <th className="px-3 py-2">v{from}</th>
+              <th className="px-3 py-2">v{to}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {diff.rows.map(r => (
+              <tr key={r.name} className={`border-t border-white/5 ${STATUS_STYLES[r.status]}`}>
+                <td className="px-3 py-2 align-top font-mono text-white">
+                  {r.name}
+                  {r.status !== 'same' && <span className="ml-2 font-sans text-slate-400">{r.status}</span>}
+                </td>
+                <FieldCell field={r.before} keys={r.keys} />
+                <FieldCell field={r.after} keys={r.keys} />
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+// Named schemas in IndexedDB. The entry being edited gets a new version on
+// each save; history shows every version with a side-by-side diff and can
+// load or roll back to any of them.
+export default function SchemaLibrary({ schemaText, onLoad }) {
+  const [entries, setEntries] = useState([])
+  const [query, setQuery] = useState('')
+  const [activeId, setActiveId] = useState(() => localStorage.getItem(ACTIVE_KEY))
+  const [activeVersions, setActiveVersions] = useState([])
+  const [form, setForm] = useState({ name: '', tags: '', note: '' })
+  const [historyId, setHistoryId] = useState(null)
+  const [history, setHistory] = useState([])
+  const [compare, setCompare] = useState(null) // { from, to } version numbers
+  const [confirmDelete, setConfirmDelete] = useState(null)
+  const [error, setError] = useState(null)
+
+  const schema = parseSchema(schemaText)
+  const active = entries.find(e => e.id === activeId) || null
+  const latest = activeVersions[activeVersions.length - 1]
+  const unsaved = active && schema && latest && JSON.stringify(latest.schema) !== JSON.stringify(schema)
+  const shown = searchSchemas(entries, query)
+
+  async function run(fn) {
+    try {
+      setError(null)
+      await fn()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  async function refresh(focusId = activeId) {
+    const list = await listSchemas()
+    setEntries(list)
+    if (focusId && list.some(e => e.id === focusId)) setActiveVersions(await listVersions(focusId))
+    if (historyId) {
+      if (list.some(e => e.id === historyId)) setHistory(await listVersions(historyId))
+      else setHistoryId(null)
+    }
+  }
+
+  useEffect(() => { run(() => refresh()) }, [])
+
+  useEffect(() => {
+    if (activeId) localStorage.setItem(ACTIVE_KEY, activeId)
+    else localStorage.removeItem(ACTIVE_KEY)
+  }, [activeId])
+
+  // Fill the form from the entry being edited.
+  useEffect(() => {
+    if (active) setForm(prev => ({ ...prev, name: active.name, tags: active.tags.join(', ') }))
+  }, [active?.id])
+
+  function activate(entry) {
+    setActiveId(entry?.id || null)
+    setActiveVersions([])
+  }
+
+  const save = asNew => run(async () => {
+    const entry = await saveSchema({
+      id: asNew ? undefined : active?.id,
+      name: form.name.trim() || undefined,
+      tags: form.tags,
+      schema,
+      note: form.note.trim(),
+    })
+    setForm(prev => ({ ...prev, note: '' }))
+    activate(entry)
+    await refresh(entry.id)
+  })
+
+  const load = (entry, version) => run(async () => {
+    const versions = await listVersions(entry.id)
+    const v = version ? versions.find(x => x.version === version) : versions[versions.length - 1]
+    if (!v) throw new Error('no saved version')
+    onLoad(JSON.stringify(v.schema, null, 2))
+    setActiveId(entry.id)
+    setActiveVersions(versions)
+  })
+
+  const rename = () => run(async () => {
+    await updateSchemaInfo(active.id, { name: form.name.trim() || active.name, tags: form.tags })
+    await refresh()
+  })
+
+  const duplicate = entry => run(async () => {
+    await duplicateSchema(entry.id)
+    await refresh()
+  })
+
+  const remove = entry => run(async () => {
+    await deleteSchema(entry.id)
+    setConfirmDelete(null)
+    if (entry.id === activeId) activate(null)
+    await refresh(entry.id === activeId ? null : activeId)
+  })
+
+  const openHistory = entry => run(async () => {
+    if (historyId === entry.id) {
+      setHistoryId(null)
+      return
+    }
+    const versions = await listVersions(entry.id)
+    setHistoryId(entry.id)
+    setHistory(versions)
+    const n = versions.length
+    setCompare(n > 1 ? { from: versions[n - 2].version, to: versions[n - 1].version } : null)
+  })
+
+  const rollback = (entry, version) => run(async () => {
+    const updated = await rollbackSchema(entry.id, version)
+    const versions = await listVersions(entry.id)
+    onLoad(JSON.stringify(versions[versions.length - 1].schema, null, 2))
+    activate(updated)
+    await refresh(entry.id)
+    setHistory(versions)
+  })
+
+  return (
+    <div className="space-y-3 rounded-xl border border-white/10 bg-white/5 p-3 text-sm text-slate-200">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-slate-300">Schema library</p>
+        <p className="text-xs text-slate-400">
+          {active
+            ? <>Editing <span className="text-white">{active.name}</span> · v{active.latest}{unsaved && <span className="text-amber-200"> · unsaved changes</span>}</>
+            : 'Not saved in the library'}
+          {active && <button className="ml-2 text-slate-400 hover:text-slate-200" onClick={() => activate(null)}>Detach</button>}
+        </p>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <input
+          className="field min-w-[10rem] flex-1 py-1.5"
+          placeholder="name, e.g. Vendor A daily feed"
+          value={form.name}
+          onChange={e => setForm(prev => ({ ...prev, name: e.target.value }))}
+        />
+        <input
+          className="field min-w-[8rem] flex-1 py-1.5"
+          placeholder="tags, comma-separated"
+          value={form.tags}
+          onChange={e => setForm(prev => ({ ...prev, tags: e.target.value }))}
+        />
+        <input
+          className="field min-w-[8rem] flex-1 py-1.5"
+          placeholder="version note (optional)"
+          value={form.note}
+          onChange={e => setForm(prev => ({ ...prev, note: e.target.value }))}
+        />
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {active && <button className="btn-ghost" disabled={!schema} onClick={() => save(false)}>Save as v{active.latest + 1}</button>}
+        <button className="btn-quiet" disabled={!schema} onClick={() => save(true)}>Save as new schema</button>
+        {active && (form.name.trim() !== active.name || form.tags !== active.tags.join(', ')) && (
+          <button className="btn-quiet" onClick={rename}>Update name and tags only</button>
+        )}
+      </div>
+
+      {entries.length > 0 && (
+        <input
+          className="field py-1.5"
+          placeholder="Search by name or tag (#tag for an exact tag)"
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+        />
+      )}
+
+      <ul className="space-y-2">
+        {shown.map(entry => (
+          <li key={entry.id} className={`space-y-2 rounded-lg border p-2 ${entry.id === activeId ? 'border-emerald-400/40' : 'border-white/10'}`}>
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="font-semibold text-white">{entry.name}</span>
+              {entry.tags.map(t => (
+                <button key={t} className="chip" onClick={() => setQuery(`#${t}`)}>#{t}</button>
+              ))}
+              <span className="text-xs text-slate-400">v{entry.latest} · {when(entry.updatedAt)}</span>
+              <span className="ml-auto flex gap-3 text-xs">
+                <button className="text-emerald-300 hover:text-emerald-200" onClick={() => load(entry)}>Load</button>
+                <button className="text-slate-300 hover:text-white" onClick={() => openHistory(entry)}>
+                  {historyId === entry.id ? 'Hide history' : 'History'}
+                </button>
+                <button className="text-slate-300 hover:text-white" onClick={() => duplicate(entry)}>Duplicate</button>
+                {confirmDelete === entry.id
+                  ? <button className="text-rose-300 hover:text-rose-200" onClick={() => remove(entry)}>Delete with all versions?</button>
+                  : <button className="text-slate-400 hover:text-rose-300" onClick={() => setConfirmDelete(entry.id)}>Delete</button>}
+              </span>
+            </div>
+
+            {historyId === entry.id && (
+              <div className="space-y-3 border-t border-white/10 pt-2">
+                <ul className="space-y-1 text-xs">
+                  {history.slice().reverse().map(v => (
+                    <li key={v.version} className="flex flex-wrap items-center gap-2">
+                      <span className="font-mono text-white">v{v.version}</span>
+                      <span className="text-slate-400">{when(v.savedAt)} · {v.schema.length} field(s)</span>
+                      {v.note && <span className="text-slate-300">{v.note}</span>}
+                      <span className="ml-auto flex gap-3">
+                        <button className="text-emerald-300 hover:text-emerald-200" onClick={() => load(entry, v.version)}>Load</button>
+                        {v.version !== entry.latest && (
+                          <button className="text-slate-300 hover:text-white" onClick={() => rollback(entry, v.version)}>Roll back to this</button>
+                        )}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+                {history.length > 1 && compare && (
+                  <>
+                    <div className="flex flex-wrap items-center gap-2 text-xs">
+                      <span className="text-slate-400">Compare</span>
+                      {['from', 'to'].map(side => (
+                        <select
+                          key={side}
+                          className="field w-auto py-1"
+                          value={compare[side]}
+                          onChange={e => setCompare(prev => ({ ...prev, [side]: Number(e.target.value) }))}
+                        >
+                          {history.map(v => <option key={v.version} value={v.version}>v{v.version}</option>)}
+                        </select>
+                      ))}
+                    </div>
+                    <VersionDiff versions={history} from={compare.from} to={compare.to} />
+                  </>
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+      {entries.length > 0 && !shown.length && <p className="text-xs text-slate-400">No schema matches "{query}".</p>}
+      {error && <p className="text-xs text-rose-200">Schema library: {error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,98 @@
+import React from 'react'
+import { TRANSFORM_OPS } from '../utils/transforms.js'
+
+// "Y=true" lines <-> { Y: true }. true/false/null are read as JSON values.
+function tableToText(table = {}) {
+    return Object.entries(table).map(([k, v]) => `${k}=${v === null ? 'null' : v}`).join('\n')
+}
+
+function textToTable(text) {
+    const table = {}
+    for (const line of text.split(/\r?\n/)) {
+        const i = line.indexOf('=')
+        if (i === -1) continue
+        const k = line.slice(0, i).trim()
+        const raw = line.slice(i + 1).trim()
+        if (!k) continue
+        table[k] = raw === 'true' ? true : raw === 'false' ? false : raw === 'null' ? null : raw
+    }
+    return table
+}
+
+function StepArgs({ step, onChange }) {
+    const set = (k, v) => onChange({ ...step, [k]: v })
+    if (step.op === 'default') {
+        return <input className="field py-1.5" placeholder="value" value={step.value ?? ''} onChange={e => set('value', e.target.value)} />
+    }
+    if (step.op === 'replace') {
+        return (
+            <div className="flex gap-2">
+                <input className="field py-1.5 font-mono" placeholder="regex" value={step.pattern ?? ''} onChange={e => set('pattern', e.target.value)} />
+                <input className="field py-1.5" placeholder="replace with" value={step.replacement ?? ''} onChange={e => set('replacement', e.target.value)} />
+                <input className="field w-16 py-1.5 font-mono" placeholder="flags" value={step.flags ?? 'g'} onChange={e => set('flags', e.target.value)} />
+            </div>
+        )
+    }
+    if (step.op === 'split') {
+        return <input className="field py-1.5" placeholder="separator, e.g. ;" value={step.separator ?? ''} onChange={e => set('separator', e.target.value)} />
+    }
+    if (step.op === 'date') {
+        return (
+            <div className="flex gap-2">
+                <input className="field py-1.5 font-mono" placeholder="from, e.g. dd/MM/yyyy" value={step.from ?? ''} onChange={e => set('from', e.target.value)} />
+                <input className="field py-1.5 font-mono" placeholder="to (yyyy-MM-dd)" value={step.to ?? ''} onChange={e => set('to', e.target.value || undefined)} />
+            </div>
+        )
+    }
+    if (step.op === 'map') {
+        return (
+            <textarea
+                key={tableToText(step.table)}
+                rows={3}
+                className="field py-1.5 font-mono"
+                placeholder={'Y=true\nN=false'}
+                defaultValue={tableToText(step.table)}
+                onBlur={e => set('table', textToTable(e.target.value))}
+            />
+        )
+    }
+    return null
+}
+
+// Ordered list of cleaning steps for one schema field.
+export default function TransformEditor({ steps = [], onChange }) {
+    function update(i, step) { const n = steps.slice(); n[i] = step; onChange(n) }
+    function remove(i) { onChange(steps.filter((_, idx) => idx !== i)) }
+    function move(i, d) {
+        const j = i + d
+        if (j < 0 || j >= steps.length) return
+        const n = steps.slice()
+        ;[n[i], n[j]] = [n[j], n[i]]
+        onChange(n)
+    }
+
+    return (
+        <div className="space-y-2">
+            {steps.map((step, i) => (
+                <div key={i} className="space-y-1 rounded-lg border border-white/10 p-2">
+                    <div className="flex items-center gap-1">
+                        <span className="text-slate-500">{i + 1}.</span>
+                        <span className="flex-1 text-slate-200">{TRANSFORM_OPS[step.op] || step.op}</span>
+                        <button className="px-1 text-slate-400 hover:text-white" onClick={() => move(i, -1)} title="Move up">↑</button>
+                        <button className="px-1 text-slate-400 hover:text-white" onClick={() => move(i, 1)} title="Move down">↓</button>
+                        <button className="px-1 text-slate-400 hover:text-rose-300" onClick={() => remove(i)} title="Remove">✕</button>
+                    </div>
+                    <StepArgs step={step} onChange={s => update(i, s)} />
+                </div>
+            ))}
+            <select
+                className="field py-1.5"
+                value=""
+                onChange={e => e.target.value && onChange([...steps, { op: e.target.value }])}
+            >
+                <option value="">+ add transform…</option>
+                {Object.entries(TRANSFORM_OPS).map(([op, label]) => <option key={op} value={op}>{label}</option>)}
+            </select>
+        </div>
+    )
+}
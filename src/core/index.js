@@ -0,0 +1,49 @@
+// Framework-free conversion core: everything the app does to a CSV short of
+// rendering it. The React UI and the `csv2json` CLI both build on this, so a
+// schema designed in the browser validates identically in CI.
+
+import { failingColumns, validateRow } from '../utils/validators.js'
+import { prepareRow } from '../utils/transforms.js'
+import { applyMapping, matchHeaders } from '../utils/mapping.js'
+import { buildRecords } from '../utils/exporters.js'
+import { serializeRecords } from '../utils/serializers.js'
+
+export { detectDelimiter, errorsCSV, looksBinary, outputColumns, parseCSV, PARSE_OPTIONS } from '../utils/csv.js'
+export { applyLocale, coerceType, ERROR_CODES, validateRow } from '../utils/validators.js'
+export { dateFormatSuggestions, inferSchemaFromData } from '../utils/inference.js'
+export { importSchema, toJSONSchema, toTableSchema } from '../utils/schemaFormats.js'
+export { applyMapping, matchHeaders, resolveMapping } from '../utils/mapping.js'
+export { prepareRow } from '../utils/transforms.js'
+export { buildRecords, exportKeys, findPathConflicts } from '../utils/exporters.js'
+export { convertKey, findKeyCollisions, KEY_POLICIES } from '../utils/keys.js'
+export { EXPORT_FORMATS, SQL_DIALECTS, serializeRecords } from '../utils/serializers.js'
+export { partitionRows, quarantineCSV, thresholdError } from '../utils/quarantine.js'
+export { parseReference, referenceName, resolveReferences } from '../utils/references.js'
+export { decodedStream, detectEncoding, encodingWarnings, ENCODINGS, scanText } from '../utils/encoding.js'
+
+// Schema as seen by validation and export for these headers: exact and
+// alias matches applied, no user overrides.
+export function schemaForHeaders(schema, headers) {
+  return applyMapping(schema, matchHeaders(headers, schema).auto)
+}
+
+// Validates every row. Returns the sparse report ([{ index, errors }]) and
+// failing-cell counts per column, the same shape the app's worker produces.
+export function validateRows(rows, schema) {
+  const seen = new Map()
+  const report = []
+  const columnCounts = {}
+  rows.forEach((row, i) => {
+    const errors = validateRow(prepareRow(row, schema), schema, { seen, rowIndex: i + 1 })
+    if (!errors.length) return
+    report.push({ index: i + 1, errors })
+    for (const c of failingColumns(errors)) columnCounts[c] = (columnCounts[c] || 0) + 1
+  })
+  return { report, columnCounts }
+}
+
+// Rows -> { text, mime, ext } in one of EXPORT_FORMATS.
+export function convertRows(rows, { schema, columns, typed = true, emptyAs = 'null', nested = false, keyPolicy, suffixKeys, exact, format = 'json', formatOptions = {} }) {
+  const records = buildRecords(rows, { schema, columns, typed, emptyAs, nested, keyPolicy, suffixKeys, exact })
+  return serializeRecords(records, format, formatOptions)
+}
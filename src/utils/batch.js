@@ -0,0 +1,62 @@
+import Papa from 'papaparse'
+import { matchHeaders } from './mapping.js'
+import { errorLines, ERRORS_CSV_FIELDS } from './csv.js'
+import { WORKBOOK_EXTENSIONS } from './workbook.js'
+
+// Batch mode: many files with the same layout run against one schema.
+
+export const SOURCE_FIELD = '_source'
+
+export const BATCH_EXTENSIONS = ['.csv', '.tsv', '.txt', ...WORKBOOK_EXTENSIONS]
+
+// Folder uploads bring everything along; keep what we can parse.
+export function isBatchFile(file) {
+  const name = String(file?.name || '').toLowerCase()
+  return BATCH_EXTENSIONS.some(ext => name.endsWith(ext))
+}
+
+// Folder picks and drops carry the path inside the folder; plain picks only the name.
+export function sourceName(file) {
+  return file.webkitRelativePath || file.relativePath || file.name
+}
+
+// How a file's headers differ from the schema, using exact and alias
+// matches only (batch files get no per-file mapping step):
+//   missing — schema fields no header maps onto (computed fields excluded)
+//   extra   — headers that map onto no schema field
+export function headerDrift(headers, schema) {
+  const { auto } = matchHeaders(headers, schema)
+  const mapped = new Set(Object.values(auto))
+  return {
+    missing: schema.filter(f => f.name && !f.expression && !mapped.has(f.name)).map(f => f.name),
+    extra: headers.filter(h => !auto[h]),
+  }
+}
+
+// The merged export: every record tagged with its file. The tag goes in
+// last, so a `_source` column in the data can't replace it.
+// `built` is [{ source, records }].
+export function mergeBatch(built) {
+  return built.flatMap(({ source, records }) => records.map(r => ({ ...r, [SOURCE_FIELD]: source })))
+}
+
+// One errors file for the whole batch: the single-file columns plus `file`.
+// `files` is [{ source, report }].
+export function batchErrorsCSV(files) {
+  const data = []
+  for (const { source, report } of files) for (const line of errorLines(report)) data.push([source, ...line])
+  return Papa.unparse({ fields: ['file', ...ERRORS_CSV_FIELDS], data }, { newline: '\n' })
+}
+
+// "north/2024-05.csv" -> "north/2024-05.json", suffixed when two sources
+// would land on the same entry.
+export function entryNames(sources, ext) {
+  const used = new Set()
+  return sources.map(source => {
+    const base = source.replace(/\.[^./]+$/, '')
+    let name = `${base}.${ext}`
+    for (let n = 2; used.has(name); n++) name = `${base}_${n}.${ext}`
+    used.add(name)
+    return name
+  })
+}
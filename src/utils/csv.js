@@ -0,0 +1,191 @@
+import Papa from 'papaparse'
+
+// CSV reading shared by the browser worker and the Node CLI.
+
+// Options every CSV parse uses; coercion is left to the schema.
+export const PARSE_OPTIONS = {
+  header: true,
+  skipEmptyLines: 'greedy',
+  dynamicTyping: false,
+}
+
+// User-facing parse settings; plain data so they can go to the worker.
+// delimiter '' means detect; any other string (also multi-character) is used as-is.
+export const DEFAULT_PARSE_SETTINGS = {
+  header: true,
+  skipRows: 0,
+  comments: '',
+  quoteChar: '"',
+  escapeChar: '', // '' = same as quoteChar, i.e. "" inside quotes
+  delimiter: '',
+  trim: false,
+  emptyLines: 'greedy',
+}
+
+// emptyLines setting -> Papa's skipEmptyLines
+export const EMPTY_LINES = {
+  greedy: { label: 'Skip blank and whitespace-only lines', value: 'greedy' },
+  empty: { label: 'Skip empty lines only', value: true },
+  keep: { label: 'Keep empty lines as rows', value: false },
+}
+
+// Papa config for `settings` (DEFAULT_PARSE_SETTINGS shape). Blank headers
+// are named after their position, like headerless columns, and their
+// indices added to `blankHeaders` for headerIssues().
+export function parseConfig(settings = {}, blankHeaders = new Set()) {
+  const s = { ...DEFAULT_PARSE_SETTINGS, ...settings }
+  const config = {
+    ...PARSE_OPTIONS,
+    header: s.header,
+    skipEmptyLines: (EMPTY_LINES[s.emptyLines] || EMPTY_LINES.greedy).value,
+    skipFirstNLines: Math.max(0, Number(s.skipRows) || 0),
+    comments: s.comments || false,
+    quoteChar: s.quoteChar || '"',
+    escapeChar: s.escapeChar || s.quoteChar || '"',
+  }
+  if (s.trim) config.transform = v => v.trim()
+  config.transformHeader = (h, i) => {
+    if (!h.trim()) {
+      blankHeaders.add(i)
+      return columnName(i)
+    }
+    return s.trim ? h.trim() : h
+  }
+  return config
+}
+
+// Readable notes on header cells that were blank or repeated. `renamed` is
+// Papa's meta.renamedHeaders ({ "Notes_1": "Notes" }).
+export function headerIssues(fields, { blank = [], renamed } = {}) {
+  const issues = []
+  for (const i of blank) issues.push(`Column ${i + 1} has a blank header; it is read as "${fields[i]}".`)
+  for (const [name, original] of Object.entries(renamed || {})) {
+    issues.push(`Header "${original}" appears more than once; column ${fields.indexOf(name) + 1} is read as "${name}".`)
+  }
+  return issues
+}
+
+// Headerless files get column_1…column_n.
+export const columnName = i => `column_${i + 1}`
+
+export function headerlessRecord(values) {
+  const record = {}
+  values.forEach((v, i) => { record[columnName(i)] = v })
+  return record
+}
+
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|']
+const DELIMITER_RECORDS = 10
+
+// Delimiter count per record for the first records of `sample`, ignoring
+// delimiters and line breaks inside quotes. The last record is dropped when
+// the sample may have cut it short.
+function delimiterCounts(sample, delim, { quoteChar, comments, skipRows }) {
+  const lines = sample.split(/\r?\n/)
+  const text = lines.slice(skipRows).join('\n')
+  const counts = []
+  let count = 0
+  let quoted = false
+  let lineStart = 0
+  for (let i = 0; i <= text.length && counts.length < DELIMITER_RECORDS; i++) {
+    const ch = text[i]
+    if (ch === quoteChar) quoted = !quoted // a doubled quote toggles twice
+    else if (!quoted && (ch === '\n' || ch === undefined)) {
+      const line = text.slice(lineStart, i)
+      const skip = !line.trim() || (comments && line.startsWith(comments))
+      if (!skip && (ch === '\n' || !counts.length)) counts.push(count)
+      count = 0
+      lineStart = i + 1
+    } else if (!quoted && text.startsWith(delim, i)) count++
+  }
+  return counts
+}
+
+// Picks the candidate that splits the first records into the same number
+// of fields most consistently, preferring more fields on a tie.
+export function detectDelimiter(sample = '', settings = {}) {
+  const options = { quoteChar: settings.quoteChar || '"', comments: settings.comments || '', skipRows: Number(settings.skipRows) || 0 }
+  let best = { delim: '', score: 0 }
+  for (const delim of DELIMITER_CANDIDATES) {
+    const counts = delimiterCounts(sample, delim, options)
+    if (!counts.length || counts[0] === 0) continue
+    const consistent = counts.filter(c => c === counts[0]).length
+    const score = consistent * 1000 + counts[0]
+    if (score > best.score) best = { delim, score }
+  }
+  return best.delim // '' lets Papa auto-detect
+}
+
+export function looksBinary(textSample = '') {
+  return /\u0000/.test(textSample)
+}
+
+// Parses a whole CSV. `input` is a string, a browser File/Blob or a Node
+// readable stream (e.g. process.stdin); streams are consumed chunk by chunk.
+// `settings` are parse settings as in DEFAULT_PARSE_SETTINGS.
+// Resolves to { fields, rows, errors, delimiter } with readable error lines.
+export function parseCSV(input, { delimiter, settings = {} } = {}) {
+  const blank = new Set()
+  const config = parseConfig(settings, blank)
+  if (delimiter === undefined) delimiter = settings.delimiter || undefined
+  if (delimiter === undefined && typeof input === 'string') delimiter = detectDelimiter(input.slice(0, 4096).replace(/^\uFEFF/, ''), settings)
+  return new Promise((resolve, reject) => {
+    const rows = []
+    const errors = []
+    let fields = []
+    let width = 0
+    let detected = delimiter || ''
+    Papa.parse(input, {
+      ...config,
+      delimiter: delimiter || '',
+      chunk: (results) => {
+        if (!detected) detected = results.meta?.delimiter || ''
+        if (config.header && !fields.length) {
+          fields = results.meta?.fields || []
+          errors.push(...headerIssues(fields, { blank, renamed: results.meta?.renamedHeaders }))
+        }
+        const offset = rows.length
+        for (const r of results.data) {
+          if (config.header) rows.push(r)
+          else {
+            rows.push(headerlessRecord(r))
+            width = Math.max(width, r.length)
+          }
+        }
+        for (const e of results.errors || []) {
+          errors.push(`Parse error (row ${e.row != null ? e.row + offset + 1 : '?'}): ${e.message}`)
+        }
+      },
+      complete: () => {
+        if (!config.header) fields = Array.from({ length: width }, (_, i) => columnName(i))
+        resolve({ fields, rows, errors, delimiter: detected })
+      },
+      error: (err) => reject(err),
+    })
+  })
+}
+
+// Schema fields computed from an expression show up as extra columns.
+export function outputColumns(headers, schema) {
+  const computed = schema.filter(f => f.expression && f.name && !headers.includes(f.name)).map(f => f.name)
+  return computed.length ? [...headers, ...computed] : headers
+}
+
+export const ERRORS_CSV_FIELDS = ['row', 'column', 'code', 'value', 'error', 'expected']
+
+// One line per error so the file can be filtered by column or code.
+// `report` is [{ index, errors }] as produced by validation.
+export function errorLines(report) {
+  const data = []
+  for (const r of report) {
+    for (const e of r.errors) {
+      const value = Array.isArray(e.value) ? JSON.stringify(e.value) : String(e.value ?? '')
+      data.push([r.index, e.column, e.code, value, e.message, e.expected ?? ''])
+    }
+  }
+  return data
+}
+
+export function errorsCSV(report) {
+  return Papa.unparse({ fields: ERRORS_CSV_FIELDS, data: errorLines(report) }, { newline: '\n' })
+}
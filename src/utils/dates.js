@@ -0,0 +1,95 @@
+// Explicit-format date parsing and formatting, so results never depend on
+// how a particular browser's Date.parse reads "03/04/2024".
+//
+// Tokens: yyyy yy MM M dd d HH H mm ss. Anything else is a literal.
+
+const TOKEN_RE = /yyyy|yy|MM|M|dd|d|HH|H|mm|ss/g
+
+const TOKEN_PATTERNS = {
+  yyyy: '(\\d{4})',
+  yy: '(\\d{2})',
+  MM: '(\\d{2})',
+  M: '(\\d{1,2})',
+  dd: '(\\d{2})',
+  d: '(\\d{1,2})',
+  HH: '(\\d{2})',
+  H: '(\\d{1,2})',
+  mm: '(\\d{2})',
+  ss: '(\\d{2})',
+}
+
+const compiled = new Map()
+
+function compileFormat(fmt) {
+  if (!compiled.has(fmt)) {
+    const tokens = []
+    let source = ''
+    let last = 0
+    for (const m of fmt.matchAll(TOKEN_RE)) {
+      source += fmt.slice(last, m.index).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      source += TOKEN_PATTERNS[m[0]]
+      tokens.push(m[0])
+      last = m.index + m[0].length
+    }
+    source += fmt.slice(last).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    compiled.set(fmt, { re: new RegExp(`^${source}$`), tokens })
+  }
+  return compiled.get(fmt)
+}
+
+function daysInMonth(y, m) {
+  return new Date(Date.UTC(y, m, 0)).getUTCDate()
+}
+
+// Returns { year, month, day, hour, minute, second, hasTime } or null when
+// the value doesn't match the format or names an impossible date.
+export function parseDateWithFormat(value, fmt) {
+  const { re, tokens } = compileFormat(fmt)
+  const m = re.exec(String(value).trim())
+  if (!m) return null
+  const p = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0, hasTime: false }
+  tokens.forEach((t, i) => {
+    const n = Number(m[i + 1])
+    if (t === 'yyyy') p.year = n
+    else if (t === 'yy') p.year = n < 70 ? 2000 + n : 1900 + n
+    else if (t === 'MM' || t === 'M') p.month = n
+    else if (t === 'dd' || t === 'd') p.day = n
+    else if (t === 'HH' || t === 'H') { p.hour = n; p.hasTime = true }
+    else if (t === 'mm') { p.minute = n; p.hasTime = true }
+    else if (t === 'ss') { p.second = n; p.hasTime = true }
+  })
+  if (p.month < 1 || p.month > 12) return null
+  if (p.day < 1 || p.day > daysInMonth(p.year, p.month)) return null
+  if (p.hour > 23 || p.minute > 59 || p.second > 59) return null
+  return p
+}
+
+const pad = (n, w = 2) => String(n).padStart(w, '0')
+
+export function formatDateParts(p, fmt) {
+  return fmt.replace(TOKEN_RE, t => {
+    if (t === 'yyyy') return pad(p.year, 4)
+    if (t === 'yy') return pad(p.year % 100)
+    if (t === 'MM') return pad(p.month)
+    if (t === 'M') return String(p.month)
+    if (t === 'dd') return pad(p.day)
+    if (t === 'd') return String(p.day)
+    if (t === 'HH') return pad(p.hour)
+    if (t === 'H') return String(p.hour)
+    if (t === 'mm') return pad(p.minute)
+    return pad(p.second)
+  })
+}
+
+// ISO 8601 form: date-only when the input had no time of day.
+export function toISOFromParts(p) {
+  const date = `${pad(p.year, 4)}-${pad(p.month)}-${pad(p.day)}`
+  return p.hasTime ? `${date}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` : date
+}
+
+// Milliseconds for a date from toISOFromParts or parseDate. Values without
+// an offset are read as UTC rather than local time, so comparisons and
+// day buckets come out the same on every machine.
+export function isoTime(iso) {
+  return Date.parse(/[zZ]$|[+-]\d{2}:\d{2}$/.test(iso) || iso.length === 10 ? iso : `${iso}Z`)
+}
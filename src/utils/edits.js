@@ -0,0 +1,66 @@
+import { applyTransforms } from './transforms.js'
+
+// Bulk edits on the raw rows. Each helper returns { updates, cells } where
+// `updates` maps a 1-based row index to the replacement row object and
+// `cells` counts changed cells; rows are never mutated in place.
+
+// Cells end up back in a CSV, so transform results are stored as text.
+function toCell(value) {
+  if (Array.isArray(value)) return value.join(', ')
+  return value === null || value === undefined ? '' : String(value)
+}
+
+function setCell(updates, rows, index, column, value) {
+  const row = updates.get(index) || { ...rows[index - 1] }
+  row[column] = value
+  updates.set(index, row)
+}
+
+// Applies `fix` to the cells of `column` that fail validation. `fix` is
+// { value } to overwrite them or { steps } to run them through transforms.
+export function fixColumn(rows, report, column, fix) {
+  const updates = new Map()
+  let cells = 0
+  for (const { index, errors } of report) {
+    if (!errors.some(e => e.column === column && e.code !== 'missing_column')) continue
+    const raw = rows[index - 1]?.[column]
+    const next = 'value' in fix ? String(fix.value) : toCell(applyTransforms(raw ?? '', fix.steps))
+    if (next === toCell(raw)) continue
+    setCell(updates, rows, index, column, next)
+    cells++
+  }
+  return { updates, cells }
+}
+
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Builds the RegExp for find/replace, or throws on an invalid pattern.
+export function findPattern({ find, regex = false, matchCase = false, wholeCell = false }) {
+  const source = regex ? find : escapeRe(find)
+  return new RegExp(wholeCell ? `^(?:${source})$` : source, matchCase ? 'g' : 'gi')
+}
+
+// Replaces matches in `columns` (all of them when empty). With `regex`
+// off, `replace` is literal; with it on, $1-style references work.
+export function findReplace(rows, columns, { find, replace = '', regex = false, matchCase = false, wholeCell = false }) {
+  const updates = new Map()
+  let cells = 0
+  if (!find) return { updates, cells }
+  const re = findPattern({ find, regex, matchCase, wholeCell })
+  const replacement = regex ? replace : replace.replace(/\$/g, '$$$$')
+  rows.forEach((row, i) => {
+    for (const column of columns) {
+      const raw = row[column]
+      if (raw === null || raw === undefined || raw === '') continue
+      const text = String(raw)
+      re.lastIndex = 0
+      if (!re.test(text)) continue
+      re.lastIndex = 0
+      const next = text.replace(re, replacement)
+      if (next === text) continue
+      setCell(updates, rows, i + 1, column, next)
+      cells++
+    }
+  })
+  return { updates, cells }
+}
@@ -0,0 +1,145 @@
+// Character encodings: detection from the first bytes of a file, decoding
+// large files chunk by chunk, and spotting text that was decoded wrongly.
+
+// TextDecoder labels offered for override. Note that browsers decode
+// "iso-8859-1" as windows-1252, so Latin-1 files use that entry.
+export const ENCODINGS = {
+  'utf-8': 'UTF-8',
+  'utf-16le': 'UTF-16 LE',
+  'utf-16be': 'UTF-16 BE',
+  'windows-1252': 'Windows-1252 / Latin-1',
+  'iso-8859-15': 'ISO-8859-15 (Latin-9)',
+  'windows-1250': 'Windows-1250 (Central European)',
+  'windows-1251': 'Windows-1251 (Cyrillic)',
+  'shift_jis': 'Shift JIS',
+  'gb18030': 'GB18030',
+}
+
+export const SAMPLE_BYTES = 64 * 1024
+
+// Returns { encoding, reason }. BOMs decide outright; otherwise NUL bytes in
+// alternating positions mean UTF-16, text that decodes as strict UTF-8 is
+// UTF-8, and anything else is assumed to be Windows-1252 (Excel on Windows).
+export function detectEncoding(bytes) {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return { encoding: 'utf-8', reason: 'BOM' }
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return { encoding: 'utf-16le', reason: 'BOM' }
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return { encoding: 'utf-16be', reason: 'BOM' }
+
+  const n = Math.min(bytes.length, SAMPLE_BYTES)
+  let evenNul = 0
+  let oddNul = 0
+  for (let i = 0; i < n; i++) {
+    if (bytes[i] !== 0) continue
+    if (i % 2) oddNul++
+    else evenNul++
+  }
+  const half = n / 2
+  if (oddNul > half * 0.3 && evenNul < half * 0.05) return { encoding: 'utf-16le', reason: 'NUL bytes' }
+  if (evenNul > half * 0.3 && oddNul < half * 0.05) return { encoding: 'utf-16be', reason: 'NUL bytes' }
+
+  let ascii = true
+  for (let i = 0; i < n && ascii; i++) ascii = bytes[i] < 0x80
+  if (ascii) return { encoding: 'utf-8', reason: 'ASCII only' }
+  try {
+    // stream: a character cut off at the end of the sample is not an error
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(0, n), { stream: true })
+    return { encoding: 'utf-8', reason: 'valid UTF-8' }
+  } catch {
+    return { encoding: 'windows-1252', reason: 'not valid UTF-8' }
+  }
+}
+
+export function decodeBytes(bytes, encoding) {
+  return new TextDecoder(encoding).decode(bytes, { stream: true })
+}
+
+// A Node-style readable over a File/Blob, which Papa parses chunk by chunk.
+// Decoding with one streaming TextDecoder keeps characters that straddle a
+// chunk boundary intact (Papa's own file reader decodes each slice apart).
+// `bytesRead` tracks progress; destroy() stops reading.
+export function decodedStream(file, encoding, { chunkSize, onText } = {}) {
+  const listeners = { data: [], end: [], error: [] }
+  const emit = (event, arg) => { for (const fn of listeners[event].slice()) fn(arg) }
+  const stream = {
+    readable: true,
+    bytesRead: 0,
+    destroyed: false,
+    read() {},
+    pause() {},
+    resume() {},
+    destroy() { stream.destroyed = true },
+    on(event, fn) { listeners[event]?.push(fn); return stream },
+    removeListener(event, fn) {
+      const list = listeners[event]
+      if (list?.includes(fn)) list.splice(list.indexOf(fn), 1)
+      return stream
+    },
+  }
+
+  async function pump() {
+    const decoder = new TextDecoder(encoding)
+    const push = text => {
+      if (!text) return
+      onText?.(text)
+      emit('data', text)
+    }
+    try {
+      for (let start = 0; start < file.size; start += chunkSize) {
+        if (stream.destroyed) return
+        const bytes = await file.slice(start, start + chunkSize).arrayBuffer()
+        if (stream.destroyed) return
+        stream.bytesRead = Math.min(file.size, start + chunkSize)
+        push(decoder.decode(bytes, { stream: true }))
+      }
+      push(decoder.decode())
+      if (!stream.destroyed) emit('end')
+    } catch (err) {
+      emit('error', err)
+    }
+  }
+  // Papa attaches its listeners right after receiving the stream.
+  setTimeout(pump, 0)
+  return stream
+}
+
+// UTF-8 lead byte read as Windows-1252 (Ã, Â, â…) followed by what its
+// continuation bytes turn into: "José" -> "JosÃ©", "’" -> "â€™".
+const CONTINUATION = '[\\u0080-\\u00BF\\u0152\\u0153\\u0160\\u0161\\u0178\\u017D\\u017E\\u0192\\u02C6\\u02DC\\u2013\\u2014\\u2018-\\u201E\\u2020-\\u2022\\u2026\\u2030\\u2039\\u203A\\u20AC\\u2122]'
+const MOJIBAKE = new RegExp(`[\\u00C2-\\u00DF]${CONTINUATION}|[\\u00E0-\\u00EF]${CONTINUATION}{2}`, 'g')
+
+// Accumulates into `issues` ({ replacement, mojibake, example }) so it can
+// be fed a file chunk by chunk.
+export function scanText(text, issues = { replacement: 0, mojibake: 0, example: null }) {
+  for (let i = text.indexOf('�'); i !== -1; i = text.indexOf('�', i + 1)) {
+    issues.replacement++
+    if (!issues.example) issues.example = excerpt(text, i)
+  }
+  for (const m of text.matchAll(MOJIBAKE)) {
+    issues.mojibake++
+    if (!issues.example) issues.example = excerpt(text, m.index)
+  }
+  return issues
+}
+
+// Up to 20 characters either side of `at`, within its line.
+function excerpt(text, at) {
+  const start = Math.max(text.lastIndexOf('\n', at) + 1, at - 20)
+  const eol = text.indexOf('\n', at)
+  return text.slice(start, Math.min(eol === -1 ? text.length : eol, at + 20)).trim()
+}
+
+// Readable warnings for scanText() results; empty when the text looks fine.
+export function encodingWarnings(issues, encoding) {
+  const warnings = []
+  const name = ENCODINGS[encoding] || encoding
+  const example = issues.example ? ` (e.g. "${issues.example}")` : ''
+  if (issues.replacement) {
+    const other = encoding === 'utf-8' ? ` Try ${ENCODINGS['windows-1252']}.` : ''
+    warnings.push(`${issues.replacement.toLocaleString()} character(s) could not be decoded as ${name} and show as "�"${example}.${other}`)
+  }
+  if (issues.mojibake) {
+    const other = encoding === 'utf-8' ? '' : ` Try ${ENCODINGS['utf-8']}.`
+    warnings.push(`${issues.mojibake.toLocaleString()} spot(s) look like UTF-8 text decoded as the wrong encoding${issues.replacement ? '' : example}.${other}`)
+  }
+  return warnings
+}
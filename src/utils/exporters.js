@@ -0,0 +1,144 @@
+import { coerceType, required } from './validators.js'
+import { prepareRow } from './transforms.js'
+import { joinedRow } from './references.js'
+import { applyKeyPolicy } from './keys.js'
+
+// Splits a header path into segments: "items[0].sku" -> ['items', 0, 'sku'].
+export function parsePath(path) {
+  const segs = []
+  const re = /([^.[\]]+)|\[(\d+)\]/g
+  let m
+  while ((m = re.exec(String(path)))) segs.push(m[2] !== undefined ? Number(m[2]) : m[1])
+  return segs
+}
+
+// Resolves which source columns end up in the export and under which key.
+// A mapped field exports under its schema name (`exportName`); with `nested`,
+// a field's `path` takes precedence over both. Columns joined from a
+// foreign key's reference follow, marked with `join` ({ field, column }).
+// `keyPolicy` and `suffixKeys` rename the keys last (see applyKeyPolicy).
+// `exact` keeps typed mode from appending schema fields missing from `columns`.
+export function exportKeys({ schema = [], columns = [], typed = false, nested = false, keyPolicy = 'asis', suffixKeys = false, exact = false } = {}) {
+  const byName = new Map(schema.map(f => [f.name, f]))
+  const sources = typed && !exact
+    ? [...columns, ...schema.map(f => f.name).filter(n => n && !columns.includes(n))]
+    : columns
+  const keys = sources.map(source => {
+    const f = byName.get(source)
+    return { source, key: (nested && f?.path) || f?.exportName || source }
+  })
+  for (const source of sources) {
+    const join = byName.get(source)?.foreignKey?.join
+    for (const [key, column] of Object.entries(join || {})) {
+      keys.push({ source: `${source} → ${column}`, key, join: { field: byName.get(source), column } })
+    }
+  }
+  return applyKeyPolicy(keys, keyPolicy, { suffix: suffixKeys, nested })
+}
+
+// Reports keys that cannot coexist in one nested object, e.g. "a" next to
+// "a.b", "tags[0]" next to "tags.name", or two columns mapped to one path.
+export function findPathConflicts(keys) {
+  const conflicts = []
+  const root = { kind: 'object', children: new Map() }
+
+  for (const { source, key } of keys) {
+    const segs = parsePath(key)
+    if (!segs.length) continue
+    if (typeof segs[0] === 'number') {
+      conflicts.push(`"${source}": path "${key}" cannot start with an array index`)
+      continue
+    }
+    let node = root
+    for (let i = 0; i < segs.length; i++) {
+      const seg = segs[i]
+      const last = i === segs.length - 1
+      const existing = node.children.get(seg)
+      if (last) {
+        if (!existing) node.children.set(seg, { kind: 'leaf', source })
+        else if (existing.kind === 'leaf') conflicts.push(`"${source}" and "${existing.source}" both map to "${key}"`)
+        else conflicts.push(`"${source}" sets "${key}" to a value, but "${existing.source}" needs it to be an ${existing.kind}`)
+        break
+      }
+      const kind = typeof segs[i + 1] === 'number' ? 'array' : 'object'
+      if (!existing) {
+        const child = { kind, source, children: new Map() }
+        node.children.set(seg, child)
+        node = child
+      } else if (existing.kind === 'leaf') {
+        conflicts.push(`"${source}" needs "${segs.slice(0, i + 1).join('.')}" to be an ${kind}, but "${existing.source}" sets it to a value`)
+        break
+      } else if (existing.kind !== kind) {
+        conflicts.push(`"${source}" and "${existing.source}" disagree on whether "${segs.slice(0, i + 1).join('.')}" is an array or an object`)
+        break
+      } else {
+        node = existing
+      }
+    }
+  }
+  return conflicts
+}
+
+function setIn(target, segs, value) {
+  let node = target
+  for (let i = 0; i < segs.length - 1; i++) {
+    const seg = segs[i]
+    if (node[seg] === null || typeof node[seg] !== 'object') node[seg] = typeof segs[i + 1] === 'number' ? [] : {}
+    node = node[seg]
+  }
+  node[segs[segs.length - 1]] = value
+}
+
+// Builds the export records for a set of parsed rows.
+//   columns — ordered list of CSV headers to keep (usually orderedHeaders)
+//   typed   — run each value through the schema via coerceType
+//   emptyAs — 'null' writes empty cells as null, 'omit' drops the key
+//   nested  — build objects/arrays from dot-path and [index] keys; check
+//             findPathConflicts first, conflicting keys overwrite each other
+//   keyPolicy, suffixKeys — key naming, as for exportKeys; check
+//             findKeyCollisions first when not nested
+//   exact   — export `columns` only, as for exportKeys
+// Field transforms and computed fields are applied first (prepareRow); an
+// array produced by a split transform is exported as an array.
+// In typed mode, schema fields that are absent from the CSV are appended so
+// the payload always carries every field the schema declares.
+export function buildRecords(rows, { schema = [], columns = [], typed = false, emptyAs = 'null', nested = false, keyPolicy, suffixKeys, exact } = {}) {
+  const byName = new Map(schema.map(f => [f.name, f]))
+  const keys = exportKeys({ schema, columns, typed, nested, keyPolicy, suffixKeys, exact })
+    .map(k => ({ ...k, segs: nested ? parsePath(k.key) : null }))
+
+  return rows.map(original => {
+    const row = prepareRow(original, schema)
+    const o = {}
+    for (const { source, key, segs, join } of keys) {
+      if (join) {
+        const value = joinedRow(join.field.foreignKey, row[join.field.name])?.[join.column] ?? null
+        if (value === null && typed && emptyAs === 'omit') continue
+        if (nested && segs.length) setIn(o, segs, value)
+        else o[key] = value
+        continue
+      }
+      const raw = row[source]
+      let value = raw
+      if (typed && Array.isArray(raw)) {
+        const field = byName.get(source)
+        value = field ? raw.map(v => toJSONValue(coerceType(v, field.type, field))) : raw
+      } else if (typed) {
+        const field = byName.get(source)
+        if (!required(raw)) {
+          if (emptyAs === 'omit') continue
+          value = null
+        } else if (field) {
+          value = toJSONValue(coerceType(raw, field.type, field))
+        }
+      }
+      if (nested && segs.length) setIn(o, segs, value)
+      else o[key] = value
+    }
+    return o
+  })
+}
+
+function toJSONValue(v) {
+  return typeof v === 'number' && !Number.isFinite(v) ? null : v
+}
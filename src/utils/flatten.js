@@ -0,0 +1,83 @@
+// JSON → CSV helpers: parse JSON / NDJSON input and flatten nested records
+// into dot-path columns (address.city, tags[0], ...).
+
+// Returns { records, errors }. Accepts a JSON array of objects, a single
+// JSON object, or newline-delimited JSON (one object per line).
+export function parseJSONInput(text) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim()
+  if (!trimmed) return { records: [], errors: ['File is empty'] }
+
+  try {
+    const doc = JSON.parse(trimmed)
+    if (Array.isArray(doc)) return { records: doc, errors: [] }
+    if (doc && typeof doc === 'object') return { records: [doc], errors: [] }
+    return { records: [], errors: ['Expected an array of objects'] }
+  } catch (err) {
+    if (trimmed.startsWith('[')) return { records: [], errors: [`Invalid JSON: ${err.message}`] }
+  }
+
+  const records = []
+  const errors = []
+  trimmed.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return
+    try {
+      records.push(JSON.parse(line))
+    } catch (err) {
+      errors.push(`Line ${i + 1}: ${err.message}`)
+    }
+  })
+  return { records, errors }
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v)
+}
+
+// Cartesian product of partial rows, so exploding two arrays in one record
+// yields every combination.
+function combine(parts) {
+  return parts.reduce((acc, part) => acc.flatMap(a => part.map(b => ({ ...a, ...b }))), [{}])
+}
+
+function expand(value, path, opts) {
+  if (Array.isArray(value)) {
+    if (opts.arrays === 'join') {
+      const parts = value.map(v => (v !== null && typeof v === 'object' ? JSON.stringify(v) : v ?? ''))
+      return [{ [path]: parts.join(opts.separator) }]
+    }
+    if (opts.arrays === 'index') {
+      if (!value.length) return [{ [path]: '' }]
+      return combine(value.map((v, i) => expand(v, `${path}[${i}]`, opts)))
+    }
+    if (!value.length) return [{ [path]: '' }]
+    return value.flatMap(v => expand(v, path, opts))
+  }
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value)
+    if (!keys.length) return [{ [path]: '' }]
+    return combine(keys.map(k => expand(value[k], path ? `${path}.${k}` : k, opts)))
+  }
+  return [{ [path]: value ?? '' }]
+}
+
+// arrays: 'join' (one cell, values joined by `separator`),
+//         'index' (one column per position: tags[0], tags[1]),
+//         'explode' (one output row per element)
+// Returns { headers, rows } with headers in first-seen order.
+export function flattenRecords(records, { arrays = 'join', separator = '; ' } = {}) {
+  const opts = { arrays, separator }
+  const rows = []
+  const headers = []
+  const seen = new Set()
+
+  for (const record of records) {
+    const expanded = isPlainObject(record) ? expand(record, '', opts) : [{ value: record ?? '' }]
+    for (const row of expanded) {
+      for (const k of Object.keys(row)) {
+        if (!seen.has(k)) { seen.add(k); headers.push(k) }
+      }
+      rows.push(row)
+    }
+  }
+  return { headers, rows }
+}
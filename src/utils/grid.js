@@ -0,0 +1,82 @@
+import { coerceType, required } from './validators.js'
+import { prepareRow } from './transforms.js'
+
+// Filtering, search and sorting for the preview grid. Works on the values
+// the grid displays (after transforms) and returns 1-based row indices, so
+// edits and validation errors keep pointing at the original rows.
+
+export const FILTER_MODES = {
+  contains: 'contains',
+  empty: 'is empty',
+  nonempty: 'is not empty',
+  invalid: 'type mismatch',
+  errors: 'any error',
+}
+
+export function cellText(value) {
+  if (Array.isArray(value)) return JSON.stringify(value)
+  return value === null || value === undefined ? '' : String(value)
+}
+
+function matchesFilter(value, filter, errors, column) {
+  switch (filter.mode) {
+    case 'contains': return !filter.text || cellText(value).toLowerCase().includes(filter.text.toLowerCase())
+    case 'empty': return !required(value)
+    case 'nonempty': return required(value)
+    case 'invalid': return !!errors?.some(e => e.column === column && e.code === 'type')
+    case 'errors': return !!errors?.some(e => e.column === column)
+    default: return true
+  }
+}
+
+// Typed columns sort by value; everything else by natural text order.
+// Empty and unparseable cells always go last.
+function sortKey(value, field) {
+  if (!required(value)) return null
+  if (field && ['number', 'currency'].includes(field.type)) {
+    const n = coerceType(value, field.type, field)
+    return Number.isFinite(n) ? n : null
+  }
+  if (field?.type === 'date') return coerceType(value, 'date', field)
+  return cellText(value)
+}
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' })
+
+function compareKeys(a, b) {
+  if (a === null || b === null) return a === b ? 0 : a === null ? 1 : -1
+  if (typeof a === 'number' && typeof b === 'number') return a - b
+  return collator.compare(String(a), String(b))
+}
+
+export function buildView(rows, { columns, schema, rowErrors, search = '', filters = {}, onlyInvalid = false, sort = null }) {
+  const active = Object.entries(filters).filter(([c, f]) => columns.includes(c) && f.mode && (f.mode !== 'contains' || f.text))
+  const needle = search.trim().toLowerCase()
+  const sortField = sort && schema.find(f => f.name === sort.column)
+  const indices = []
+  const keys = sort ? new Map() : null
+
+  for (let i = 0; i < rows.length; i++) {
+    const index = i + 1
+    const errors = rowErrors.get(index)
+    if (onlyInvalid && !errors) continue
+    if (!active.length && !needle && !sort) { indices.push(index); continue }
+    const row = prepareRow(rows[i], schema)
+    if (!active.every(([c, f]) => matchesFilter(row[c], f, errors, c))) continue
+    if (needle && !columns.some(c => cellText(row[c]).toLowerCase().includes(needle))) continue
+    indices.push(index)
+    if (keys) keys.set(index, sortKey(row[sort.column], sortField))
+  }
+
+  if (sort) {
+    const dir = sort.dir === 'desc' ? -1 : 1
+    indices.sort((a, b) => {
+      const ka = keys.get(a)
+      const kb = keys.get(b)
+      // Empties stay last in either direction.
+      if (ka === null || kb === null) return compareKeys(ka, kb) || a - b
+      return dir * compareKeys(ka, kb) || a - b
+    })
+  }
+  return indices
+}
@@ -0,0 +1,144 @@
+import { isEmail, parseDate, required } from './validators.js'
+import { parseDateWithFormat } from './dates.js'
+import { prepareRow } from './transforms.js'
+
+// Whole-column schema inference. Every candidate type is scored by the share
+// of non-empty values it accepts; the most specific type that a clear
+// majority fits wins, and that share is reported as the confidence.
+
+export const DATE_FORMATS = [
+  'yyyy-MM-dd',
+  'yyyy-MM-dd HH:mm',
+  'yyyy-MM-dd HH:mm:ss',
+  'yyyy/MM/dd',
+  'dd/MM/yyyy',
+  'MM/dd/yyyy',
+  'dd/MM/yyyy HH:mm',
+  'MM/dd/yyyy HH:mm',
+  'dd.MM.yyyy',
+  'dd-MM-yyyy',
+]
+
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/
+const INTEGER = /^[+-]?\d+$/
+const DECIMAL = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/
+const CURRENCY = /^[+-]?\s*[$€£]?\s*[+-]?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?\s*[$€£]?$/
+const CURRENCY_MARK = /[$€£]|\d,\d{3}/
+const BOOLEAN = /^(true|false|0|1)$/i
+
+// A type must fit at least this share of non-empty values to beat string.
+const MIN_CONFIDENCE = 0.8
+const DEFAULT_SAMPLE = 50000
+const ENUM_MAX_VALUES = 10
+
+export function sampleRows(rows, size) {
+  if (rows.length <= size) return rows
+  const step = rows.length / size
+  const out = []
+  for (let i = 0; i < size; i++) out.push(rows[Math.floor(i * step)])
+  return out
+}
+
+// Type findings for one column's values: { type, confidence, detail, ... }.
+export function inferColumn(values, total) {
+  const nonEmpty = values.filter(required).map(v => (typeof v === 'string' ? v.trim() : v))
+  const n = nonEmpty.length
+  const distinct = new Map()
+  for (const v of nonEmpty) distinct.set(String(v), (distinct.get(String(v)) || 0) + 1)
+
+  const base = { nonEmpty: n, empty: total - n, distinct: distinct.size }
+  if (!n) return { ...base, type: 'string', confidence: 0, detail: 'all empty' }
+
+  const counts = { boolean: 0, integer: 0, decimal: 0, currency: 0, email: 0, iso: 0 }
+  let currencyMarks = 0
+  const dateHits = Object.fromEntries(DATE_FORMATS.map(f => [f, 0]))
+
+  for (const v of nonEmpty) {
+    if (typeof v === 'boolean') { counts.boolean++; continue }
+    if (typeof v === 'number') { counts.decimal++; counts.currency++; if (Number.isInteger(v)) counts.integer++; continue }
+    const s = String(v)
+    if (BOOLEAN.test(s)) counts.boolean++
+    if (INTEGER.test(s)) counts.integer++
+    if (DECIMAL.test(s)) counts.decimal++
+    if (CURRENCY.test(s)) {
+      counts.currency++
+      if (CURRENCY_MARK.test(s)) currencyMarks++
+    }
+    if (s.includes('@') && isEmail(s)) counts.email++
+    if (ISO_DATETIME.test(s)) counts.iso++
+    for (const f of DATE_FORMATS) if (parseDateWithFormat(s, f)) dateHits[f]++
+  }
+
+  const ranked = Object.entries(dateHits).sort((a, b) => b[1] - a[1])
+  const [bestFormat, formatHits] = ranked[0]
+  const dateCount = Math.max(formatHits, counts.iso)
+  const dateFormat = counts.iso > formatHits ? 'ISO 8601' : bestFormat
+  // dd/MM vs MM/dd can't be told apart when no day is above 12.
+  const ambiguous = dateFormat !== 'ISO 8601' && formatHits > 0 && ranked[1][1] === formatHits
+
+  // Ordered most specific first; ties go to the earlier entry, so an all
+  // 0/1 column is boolean rather than number.
+  const candidates = [
+    { type: 'boolean', hits: counts.boolean, detail: 'true/false/0/1' },
+    { type: 'number', hits: counts.integer, detail: 'integer' },
+    { type: 'number', hits: counts.decimal, detail: 'decimal' },
+    { type: 'currency', hits: currencyMarks ? counts.currency : 0, detail: 'currency' },
+    { type: 'email', hits: counts.email, detail: 'email' },
+    { type: 'date', hits: dateCount, detail: dateFormat },
+  ]
+  let best = null
+  for (const c of candidates) if (!best || c.hits > best.hits) best = c
+
+  const confidence = best.hits / n
+  const result = confidence >= MIN_CONFIDENCE
+    ? { ...base, type: best.type, confidence, detail: best.detail }
+    : { ...base, type: 'string', confidence: 1, detail: best.hits ? `${Math.round(confidence * 100)}% ${best.detail}` : 'text' }
+
+  if (result.type === 'date') {
+    result.dateFormat = dateFormat
+    if (ambiguous) {
+      result.detail += ' (ambiguous)'
+      result.ambiguous = true
+    }
+  }
+  if (result.type === 'string' && distinct.size <= ENUM_MAX_VALUES && n >= distinct.size * 2) {
+    result.suggestedEnum = [...distinct.entries()].sort((a, b) => b[1] - a[1]).map(([v]) => v)
+  }
+  return result
+}
+
+// Returns { fields, report }: `fields` is a ready-to-use schema, `report`
+// maps each header to its type, confidence and findings.
+export function inferSchemaFromData(rows, headers, { sampleSize = DEFAULT_SAMPLE } = {}) {
+  if (!rows.length || !headers.length) return { fields: [], report: {} }
+  const sample = sampleRows(rows, sampleSize)
+  const report = {}
+  const fields = headers.map(h => {
+    const col = inferColumn(sample.map(r => r[h]), sample.length)
+    report[h] = { ...col, sampled: sample.length, total: rows.length }
+    const field = { name: h, type: col.type, required: col.nonEmpty > 0 && col.empty === 0 }
+    // Non-ISO dates get an explicit input format so validation doesn't rely on Date.parse.
+    if (col.dateFormat && !/^(yyyy-MM-dd|ISO)/.test(col.dateFormat)) field.format = col.dateFormat
+    return field
+  })
+  return { fields, report }
+}
+
+// Date fields without a `format` accept ISO 8601 only (older versions let
+// Date.parse read anything it could). Lists those whose column holds other
+// dates, with the format that reads them: [{ column, example, format, ambiguous }].
+// `schema` is the one validation uses, so names are the column headers.
+export function dateFormatSuggestions(rows, schema, { sampleSize = DEFAULT_SAMPLE } = {}) {
+  const fields = schema.filter(f => f.name && f.type === 'date' && !f.format && !f.expression)
+  if (!fields.length || !rows.length) return []
+  const sample = sampleRows(rows, sampleSize).map(r => prepareRow(r, schema))
+  const found = []
+  for (const f of fields) {
+    const rejected = sample.map(r => r[f.name]).filter(v => required(v) && parseDate(v, f) === null)
+    if (!rejected.length) continue
+    const col = inferColumn(rejected, rejected.length)
+    if (col.type !== 'date' || col.dateFormat === 'ISO 8601') continue
+    found.push({ column: f.name, example: String(rejected[0]), format: col.dateFormat, ambiguous: Boolean(col.ambiguous) })
+  }
+  return found
+}
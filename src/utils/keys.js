@@ -0,0 +1,78 @@
+// JSON key naming policies for export. Keys are split into words on
+// anything that isn't a letter or digit and on camelCase boundaries, so
+// "Amount Spent (USD)" becomes amountSpentUsd, amount_spent_usd,
+// amount-spent-usd or Amount_Spent_USD (slug).
+
+export const KEY_POLICIES = {
+  asis: 'Keep as-is',
+  camel: 'camelCase',
+  snake: 'snake_case',
+  kebab: 'kebab-case',
+  slug: 'Slug (A–Z, 0–9, _)',
+}
+
+const SUFFIX_SEPARATORS = { camel: '', kebab: '-' }
+
+function words(text) {
+  return String(text)
+    .replace(/(\p{Ll}|\p{N})(\p{Lu})/gu, '$1 $2')
+    .replace(/(\p{Lu})(\p{Lu}\p{Ll})/gu, '$1 $2')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+}
+
+const capitalize = w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()
+
+// One key (or path segment) under `policy`. Falls back to the original when
+// nothing would be left, e.g. a header of only punctuation.
+export function convertKey(key, policy = 'asis') {
+  let out
+  if (policy === 'camel') out = words(key).map((w, i) => (i ? capitalize(w) : w.toLowerCase())).join('')
+  else if (policy === 'snake') out = words(key).map(w => w.toLowerCase()).join('_')
+  else if (policy === 'kebab') out = words(key).map(w => w.toLowerCase()).join('-')
+  else if (policy === 'slug') {
+    out = String(key).normalize('NFKD').replace(/\p{M}/gu, '').replace(/ß/g, 'ss').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+  } else return key
+  return out || key
+}
+
+// Renames `keys` ([{ source, key }], as from exportKeys) under the policy,
+// path segments one by one when `nested`. With `suffix`, keys that end up
+// equal are made unique by numbering the later ones (notes, notes_2).
+export function applyKeyPolicy(keys, policy = 'asis', { suffix = false, nested = false } = {}) {
+  const rename = key => (nested ? String(key).replace(/[^.[\]]+/g, seg => convertKey(seg, policy)) : convertKey(key, policy))
+  const renamed = keys.map(k => ({ ...k, key: rename(k.key) }))
+  if (!suffix) return renamed
+  const taken = new Set(renamed.map(k => k.key))
+  const seen = new Set()
+  const sep = SUFFIX_SEPARATORS[policy] ?? '_'
+  for (const k of renamed) {
+    if (!seen.has(k.key)) {
+      seen.add(k.key)
+      continue
+    }
+    let n = 2
+    while (taken.has(`${k.key}${sep}${n}`)) n++
+    k.key = `${k.key}${sep}${n}`
+    taken.add(k.key)
+    seen.add(k.key)
+  }
+  return renamed
+}
+
+// Columns that would overwrite each other in a flat record. (Nested
+// exports report the same through findPathConflicts.)
+export function findKeyCollisions(keys) {
+  const byKey = new Map()
+  for (const { source, key } of keys) {
+    if (!byKey.has(key)) byKey.set(key, [])
+    byKey.get(key).push(`"${source}"`)
+  }
+  const collisions = []
+  for (const [key, sources] of byKey) {
+    if (sources.length < 2) continue
+    const names = `${sources.slice(0, -1).join(', ')} and ${sources[sources.length - 1]}`
+    collisions.push(`${names} ${sources.length === 2 ? 'both' : 'all'} become "${key}"`)
+  }
+  return collisions
+}
@@ -0,0 +1,92 @@
+import { hasFieldRefs, renameFieldRefs } from './validators.js'
+import { editDistance, normalizeHeader } from './similarity.js'
+
+// Header → schema field mapping. Exact names and declared aliases match
+// automatically; everything else gets fuzzy suggestions for the user to
+// confirm.
+
+function candidateNames(field) {
+  return [field.name, ...(Array.isArray(field.aliases) ? field.aliases : [])]
+}
+
+// Scores how likely `header` refers to `field`; 0 means no suggestion.
+function similarity(header, field) {
+  const h = normalizeHeader(header)
+  if (!h) return { score: 0 }
+  let best = { score: 0 }
+  for (const name of candidateNames(field)) {
+    const n = normalizeHeader(name)
+    if (!n) continue
+    let s = { score: 0 }
+    if (h === n) s = { score: 1, reason: 'same ignoring case, spacing and punctuation' }
+    else if (h.includes(n) || n.includes(h)) s = { score: 0.8 * Math.min(h.length, n.length) / Math.max(h.length, n.length) + 0.2, reason: `partial match with "${name}"` }
+    else {
+      const sim = 1 - editDistance(h, n) / Math.max(h.length, n.length)
+      if (sim >= 0.6) s = { score: sim, reason: `similar to "${name}"` }
+    }
+    if (s.score > best.score) best = s
+  }
+  return best
+}
+
+// Returns { auto, suggestions }:
+//   auto        — header -> field name for exact name or alias matches
+//   suggestions — header -> [{ field, score, reason }] for the rest, best first
+export function matchHeaders(headers, schema) {
+  const auto = {}
+  const claimed = new Set()
+
+  for (const h of headers) {
+    const f = schema.find(x => x.name === h)
+    if (f) { auto[h] = f.name; claimed.add(f.name) }
+  }
+  for (const h of headers) {
+    if (auto[h]) continue
+    const norm = normalizeHeader(h)
+    const f = schema.find(x => !claimed.has(x.name) && (x.aliases || []).some(a => normalizeHeader(a) === norm))
+    if (f) { auto[h] = f.name; claimed.add(f.name) }
+  }
+
+  const suggestions = {}
+  for (const h of headers) {
+    if (auto[h]) continue
+    const list = schema
+      .filter(f => f.name && !claimed.has(f.name))
+      .map(f => ({ field: f.name, ...similarity(h, f) }))
+      .filter(s => s.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 3)
+    if (list.length) suggestions[h] = list
+  }
+  return { auto, suggestions }
+}
+
+// Combines automatic matches with user choices. An override of '' means
+// "leave this header unmapped"; a field claimed by an override is released
+// from whichever header it was auto-matched to.
+export function resolveMapping(auto, overrides) {
+  const mapping = { ...auto }
+  const claimed = new Set(Object.values(overrides).filter(Boolean))
+  for (const [h, f] of Object.entries(mapping)) {
+    if (claimed.has(f) && overrides[h] === undefined) delete mapping[h]
+  }
+  for (const [h, f] of Object.entries(overrides)) {
+    if (f) mapping[h] = f
+    else delete mapping[h]
+  }
+  return mapping
+}
+
+// Rewrites schema field names to the CSV headers mapped onto them, so
+// validation and preview work on the raw rows. `exportName` keeps the schema
+// name for the exported JSON keys. Cross-field rules are renamed the same way.
+export function applyMapping(schema, mapping) {
+  const headerFor = new Map()
+  for (const [h, f] of Object.entries(mapping)) if (!headerFor.has(f)) headerFor.set(f, h)
+  const rename = name => headerFor.get(name) || name
+  return schema.map(f => {
+    const h = headerFor.get(f.name)
+    const out = hasFieldRefs(f) ? renameFieldRefs(f, rename) : f
+    return h && h !== f.name ? { ...out, name: h, exportName: f.name } : out
+  })
+}
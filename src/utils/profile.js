@@ -0,0 +1,130 @@
+import { coerceType, parseDate, required } from './validators.js'
+import { inferColumn, sampleRows } from './inference.js'
+import { isoTime } from './dates.js'
+
+// Column profiles for the profiling panel: emptiness, distinct and top
+// values, numeric and date ranges, string lengths, value shapes and a small
+// histogram. Large files are profiled on an even sample, like inference.
+
+const DEFAULT_SAMPLE = 100000
+const TOP_VALUES = 10
+const TOP_PATTERNS = 5
+const HISTOGRAM_BINS = 12
+const PATTERN_MAX_LENGTH = 40
+const VALUES_LIMIT = 20 // columns with at most this many distinct values list them all
+
+// "ABC-1234" -> "AAA-9999", "ab 12" -> "aa 99"; other characters kept.
+export function valuePattern(value) {
+  const shape = String(value)
+    .replace(/\p{Lu}/gu, 'A')
+    .replace(/\p{Ll}/gu, 'a')
+    .replace(/\d/g, '9')
+  return shape.length > PATTERN_MAX_LENGTH ? `${shape.slice(0, PATTERN_MAX_LENGTH)}…` : shape
+}
+
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+const SHAPE_CLASSES = { A: '[A-Z]', a: '[a-z]', 9: '\\d' }
+
+// "AAA-9999" -> "^[A-Z]{3}-\d{4}$", usable as a field pattern.
+export function patternToRegex(pattern) {
+  let out = ''
+  for (const [run] of pattern.matchAll(/(.)\1*/gu)) {
+    const ch = run[0]
+    const cls = SHAPE_CLASSES[ch] || escapeRe(ch)
+    out += run.length > 1 ? `${cls}{${run.length}}` : cls
+  }
+  return `^${out}$`
+}
+
+// Loops instead of Math.min(...values), which overflows the stack on big columns.
+function extent(values) {
+  let min = Infinity
+  let max = -Infinity
+  for (const v of values) {
+    if (v < min) min = v
+    if (v > max) max = v
+  }
+  return [min, max]
+}
+
+function histogram(values, format = v => v) {
+  if (!values.length) return null
+  const [min, max] = extent(values)
+  const bins = min === max ? 1 : HISTOGRAM_BINS
+  const width = (max - min) / bins || 1
+  const counts = new Array(bins).fill(0)
+  for (const v of values) counts[Math.min(bins - 1, Math.floor((v - min) / width))]++
+  return counts.map((count, i) => ({ from: format(min + i * width), to: format(min + (i + 1) * width), count }))
+}
+
+const round = n => Math.round(n * 1000) / 1000
+
+function profileColumn(values, total) {
+  const inferred = inferColumn(values, total)
+  const nonEmpty = values.filter(required).map(v => (typeof v === 'string' ? v.trim() : v))
+  const counts = new Map()
+  const patterns = new Map()
+  let minLength = Infinity
+  let maxLength = 0
+  for (const v of nonEmpty) {
+    const s = String(v)
+    counts.set(s, (counts.get(s) || 0) + 1)
+    const p = valuePattern(s)
+    patterns.set(p, (patterns.get(p) || 0) + 1)
+    if (s.length < minLength) minLength = s.length
+    if (s.length > maxLength) maxLength = s.length
+  }
+  const byCount = m => [...m.entries()].sort((a, b) => b[1] - a[1])
+
+  const profile = {
+    type: inferred.type,
+    detail: inferred.detail,
+    confidence: round(inferred.confidence),
+    empty: total - nonEmpty.length,
+    nonEmpty: nonEmpty.length,
+    distinct: counts.size,
+    top: byCount(counts).slice(0, TOP_VALUES).map(([value, count]) => ({ value, count })),
+    patterns: byCount(patterns).slice(0, TOP_PATTERNS).map(([pattern, count]) => ({ pattern, count })),
+    patternCount: patterns.size,
+    length: nonEmpty.length ? { min: minLength, max: maxLength } : null,
+  }
+  if (counts.size <= VALUES_LIMIT) profile.values = byCount(counts).map(([value]) => value)
+
+  if (inferred.type === 'number' || inferred.type === 'currency') {
+    const nums = nonEmpty.map(v => coerceType(v, inferred.type)).filter(Number.isFinite)
+    if (nums.length) {
+      const sum = nums.reduce((a, b) => a + b, 0)
+      const [min, max] = extent(nums)
+      profile.numeric = { min, max, mean: round(sum / nums.length), count: nums.length }
+      profile.histogram = histogram(nums, round)
+      profile.histogramOf = 'value'
+    }
+  } else if (inferred.type === 'date') {
+    const field = inferred.dateFormat && inferred.dateFormat !== 'ISO 8601' ? { format: inferred.dateFormat } : {}
+    const times = []
+    for (const v of nonEmpty) {
+      const iso = parseDate(v, field)
+      if (iso !== null) times.push(isoTime(iso))
+    }
+    if (times.length) {
+      const day = t => new Date(t).toISOString().slice(0, 10)
+      const [min, max] = extent(times)
+      profile.dates = { min: day(min), max: day(max), format: inferred.dateFormat, count: times.length }
+      profile.histogram = histogram(times, day)
+      profile.histogramOf = 'date'
+    }
+  }
+  if (!profile.histogram && nonEmpty.length) {
+    profile.histogram = histogram(nonEmpty.map(v => String(v).length), Math.round)
+    profile.histogramOf = 'length'
+  }
+  return profile
+}
+
+// Returns { rows, sampled, generatedAt, columns: { [header]: profile } }.
+export function profileColumns(rows, headers, { sampleSize = DEFAULT_SAMPLE } = {}) {
+  const sample = sampleRows(rows, sampleSize)
+  const columns = {}
+  for (const h of headers) columns[h] = profileColumn(sample.map(r => r[h]), sample.length)
+  return { rows: rows.length, sampled: sample.length, generatedAt: new Date().toISOString(), columns }
+}
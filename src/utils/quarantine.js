@@ -0,0 +1,43 @@
+import Papa from 'papaparse'
+
+// Partial export: valid rows go on to the chosen format, invalid rows are
+// written to a quarantine CSV with their original columns plus `_errors`.
+
+export const ERRORS_COLUMN = '_errors'
+
+// `report` is the sparse validation report: [{ index, errors }], 1-based.
+export function partitionRows(rows, report) {
+  const failing = new Map(report.map(r => [r.index, r.errors]))
+  const valid = []
+  const invalid = []
+  rows.forEach((row, i) => {
+    const errors = failing.get(i + 1)
+    if (errors) invalid.push({ index: i + 1, row, errors })
+    else valid.push(row)
+  })
+  return { valid, invalid }
+}
+
+// threshold: { mode: 'count' | 'percent', value }. Returns a message when
+// the share of invalid rows is above it, otherwise null. An empty value
+// (the box cleared) means no threshold, not zero.
+export function thresholdError(invalidCount, total, threshold) {
+  const raw = threshold?.value
+  if (raw === '' || raw === null || raw === undefined) return null
+  const value = Number(raw)
+  if (!Number.isFinite(value)) return null
+  if (threshold.mode === 'percent') {
+    const pct = total ? (invalidCount / total) * 100 : 0
+    return pct > value ? `${pct.toFixed(2)}% of rows are invalid, above the ${value}% threshold` : null
+  }
+  return invalidCount > value ? `${invalidCount} invalid rows, above the threshold of ${value}` : null
+}
+
+export function quarantineCSV(invalid, headers, delimiter = ',') {
+  const fields = headers.includes(ERRORS_COLUMN) ? headers : [...headers, ERRORS_COLUMN]
+  const data = invalid.map(({ row, errors }) => ({
+    ...row,
+    [ERRORS_COLUMN]: errors.map(e => e.message).join(' | '),
+  }))
+  return Papa.unparse({ fields, data }, { delimiter, newline: '\r\n' })
+}
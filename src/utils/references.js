@@ -0,0 +1,97 @@
+import { parseCSV } from './csv.js'
+import { flattenRecords, parseJSONInput } from './flatten.js'
+import { editDistance, normalizeHeader } from './similarity.js'
+
+// Foreign keys. A field declares either
+//   foreignKey: { reference: 'customers', column: 'id', join: { customer_name: 'name' } }
+// against a reference dataset stored next to the schema, or
+//   foreignKey: { values: ['A', 'B'] }
+// with the allowed keys embedded in the schema. `join` copies columns of the
+// matching reference row into the export (output key -> reference column).
+//
+// References are { [name]: { columns, rows, source } }. Before validation,
+// resolveReferences() adds `label`, `keys` and `joinRows` to each foreignKey.
+
+const SUGGESTION_CACHE_LIMIT = 10000
+
+// "Customers (2024).csv" -> "customers_2024"
+export function referenceName(fileName) {
+  return String(fileName).replace(/\.[^.]+$/, '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_|_$/g, '') || 'reference'
+}
+
+// CSV, or JSON / NDJSON (nested objects flatten to dot-path columns).
+export async function parseReference(text, fileName = '') {
+  if (/\.(json|ndjson|jsonl)$/i.test(fileName)) {
+    const { records, errors } = parseJSONInput(text)
+    if (!records.length) throw new Error(errors[0] || 'no records')
+    const { headers, rows } = flattenRecords(records)
+    return { columns: headers, rows, source: fileName }
+  }
+  const { fields, rows } = await parseCSV(text)
+  if (!fields.length) throw new Error('no header row')
+  return { columns: fields, rows, source: fileName }
+}
+
+// Fields whose reference isn't loaded (or lacks the column) are left as-is
+// and go unchecked; the schema builder points them out.
+export function resolveReferences(schema, references = {}) {
+  if (!schema.some(f => f.foreignKey)) return schema
+  return schema.map(f => {
+    const fk = f.foreignKey
+    if (!fk) return f
+    if (Array.isArray(fk.values)) {
+      if (!fk.values.length) return f
+      return { ...f, foreignKey: { ...fk, label: 'the allowed list', keys: fk.values.map(v => String(v).trim()) } }
+    }
+    const ref = references[fk.reference]
+    if (!ref || !ref.columns.includes(fk.column)) return f
+    const joinColumns = Object.values(fk.join || {})
+    const keys = []
+    const joinRows = joinColumns.length ? {} : undefined
+    for (const r of ref.rows) {
+      const key = String(r[fk.column] ?? '').trim()
+      if (!key) continue
+      keys.push(key)
+      if (joinRows && !Object.hasOwn(joinRows, key)) joinRows[key] = Object.fromEntries(joinColumns.map(c => [c, r[c] ?? null]))
+    }
+    return { ...f, foreignKey: { ...fk, label: `${fk.reference}.${fk.column}`, keys, joinRows } }
+  })
+}
+
+// Up to `limit` keys within a small edit distance of `value`, compared
+// ignoring case, spacing and punctuation.
+export function suggestKeys(value, keys, limit = 3) {
+  const norm = normalizeHeader(value)
+  const max = Math.max(1, Math.floor(norm.length / 4))
+  const scored = []
+  for (const key of keys) {
+    const n = normalizeHeader(key)
+    if (Math.abs(n.length - norm.length) > max) continue
+    const d = editDistance(norm, n)
+    if (d <= max) scored.push({ key, d })
+  }
+  return scored.sort((a, b) => a.d - b.d).slice(0, limit).map(s => s.key)
+}
+
+const lookups = new WeakMap()
+
+// null when `value` is a key of the resolved foreign key, otherwise the
+// "did you mean" suggestions (possibly none).
+export function missingKey(fk, value) {
+  if (!lookups.has(fk)) lookups.set(fk, { keys: new Set(fk.keys), suggestions: new Map() })
+  const lookup = lookups.get(fk)
+  const v = String(value).trim()
+  if (lookup.keys.has(v)) return null
+  let found = lookup.suggestions.get(v)
+  if (!found) {
+    found = suggestKeys(v, lookup.keys)
+    if (lookup.suggestions.size < SUGGESTION_CACHE_LIMIT) lookup.suggestions.set(v, found)
+  }
+  return found
+}
+
+// The reference row's joined columns for `value`, or null when it has no match.
+export function joinedRow(fk, value) {
+  const key = String(value ?? '').trim()
+  return fk.joinRows && Object.hasOwn(fk.joinRows, key) ? fk.joinRows[key] : null
+}
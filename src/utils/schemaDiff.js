@@ -0,0 +1,50 @@
+// Field-by-field comparison of two schema versions, for the library's
+// side-by-side view. Fields are matched by name, so a rename shows up as
+// one field removed and another added.
+
+// JSON with object keys sorted, so { a, b } and { b, a } compare equal.
+function stable(value) {
+  if (Array.isArray(value)) return `[${value.map(stable).join(',')}]`
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${stable(value[k])}`).join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+// Keys (constraints, rules…) whose values differ between two fields.
+export function changedKeys(before = {}, after = {}) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)])
+  keys.delete('name')
+  return [...keys].filter(k => stable(before[k]) !== stable(after[k])).sort()
+}
+
+// Returns { rows, counts }. rows follow the older version's order with
+// added fields last: { name, status, before, after, keys } where status is
+// 'added' | 'removed' | 'changed' | 'same' and keys lists what changed.
+export function diffSchemas(before = [], after = []) {
+  const oldByName = new Map(before.map(f => [f.name, f]))
+  const newByName = new Map(after.map(f => [f.name, f]))
+  const rows = []
+  for (const f of before) {
+    const next = newByName.get(f.name)
+    if (!next) rows.push({ name: f.name, status: 'removed', before: f, after: null, keys: [] })
+    else {
+      const keys = changedKeys(f, next)
+      rows.push({ name: f.name, status: keys.length ? 'changed' : 'same', before: f, after: next, keys })
+    }
+  }
+  for (const f of after) {
+    if (!oldByName.has(f.name)) rows.push({ name: f.name, status: 'added', before: null, after: f, keys: [] })
+  }
+  const counts = { added: 0, removed: 0, changed: 0, same: 0 }
+  for (const r of rows) counts[r.status]++
+  const order = fields => fields.filter(f => oldByName.has(f.name) && newByName.has(f.name)).map(f => f.name).join('\n')
+  return { rows, counts, reordered: order(before) !== order(after) }
+}
+
+// Compact text for one property of a field: lists joined, objects as JSON.
+export function describeValue(value) {
+  if (Array.isArray(value) && value.every(v => typeof v !== 'object')) return value.join(', ')
+  if (value && typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
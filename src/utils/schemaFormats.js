@@ -0,0 +1,342 @@
+// Converts between this app's field array and two external formats:
+// JSON Schema (draft 2020-12) and Frictionless Table Schema.
+// Every converter returns { ..., warnings } listing what could not be
+// translated, so the UI can tell the user exactly what was lost.
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema'
+const KNOWN_TYPES = ['string', 'number', 'currency', 'date', 'boolean', 'email']
+
+export function detectSchemaFormat(doc) {
+  if (Array.isArray(doc)) return 'native'
+  if (doc && typeof doc === 'object') {
+    if (Array.isArray(doc.fields)) return 'frictionless'
+    if (doc.$schema || doc.properties || doc.items || doc.type === 'object' || doc.type === 'array') return 'jsonschema'
+  }
+  return null
+}
+
+// Accepts any supported document and returns { format, fields, warnings }.
+// Throws when the document is not a schema at all.
+export function importSchema(doc) {
+  const format = detectSchemaFormat(doc)
+  if (format === 'native') return { format, ...fromNative(doc) }
+  if (format === 'jsonschema') return { format, ...fromJSONSchema(doc) }
+  if (format === 'frictionless') return { format, ...fromTableSchema(doc) }
+  throw new Error('Unrecognized schema: expected a field array, a JSON Schema or a Table Schema')
+}
+
+function fromNative(list) {
+  const warnings = []
+  const fields = []
+  list.forEach((f, i) => {
+    if (!f || typeof f !== 'object' || !String(f.name ?? '').trim()) {
+      warnings.push(`Entry ${i + 1} has no name and was skipped`)
+      return
+    }
+    if (f.type && !KNOWN_TYPES.includes(f.type)) {
+      warnings.push(`"${f.name}": unknown type "${f.type}" treated as string`)
+      fields.push({ ...f, type: 'string' })
+      return
+    }
+    fields.push(f)
+  })
+  return { fields, warnings }
+}
+
+// Table Schema patterns must match the whole value; ours (like JSON Schema)
+// only need to match somewhere, hence the anchoring on the way in and out.
+function anchorPattern(p) {
+  return `^(?:${p})$`
+}
+
+function unanchorPattern(p) {
+  if (p.startsWith('^') && p.endsWith('$') && !p.endsWith('\\$')) return p.slice(1, -1)
+  return `.*(?:${p}).*`
+}
+
+const STRFTIME = { yyyy: '%Y', yy: '%y', MM: '%m', dd: '%d', HH: '%H', mm: '%M', ss: '%S' }
+const FROM_STRFTIME = Object.fromEntries(Object.entries(STRFTIME).map(([k, v]) => [v, k]))
+
+// dd/MM/yyyy <-> %d/%m/%Y. Returns null when a token has no counterpart
+// (unpadded M/d/H, or strftime directives such as %b).
+function toStrftime(fmt) {
+  let unsupported = false
+  const out = fmt.replace(/yyyy|yy|MM|M|dd|d|HH|H|mm|ss/g, t => STRFTIME[t] || ((unsupported = true), t))
+  return unsupported ? null : out
+}
+
+function fromStrftime(fmt) {
+  let unsupported = false
+  const out = fmt.replace(/%./g, t => FROM_STRFTIME[t] || ((unsupported = true), t))
+  return unsupported ? null : out
+}
+
+function hasLocale(f) {
+  return f.decimal !== undefined || f.thousands !== undefined || f.currencySymbols?.length || f.format
+}
+
+function compact(obj) {
+  const o = {}
+  for (const [k, v] of Object.entries(obj)) if (v !== undefined) o[k] = v
+  return o
+}
+
+// ---------- JSON Schema ----------
+
+const JSON_SCHEMA_HANDLED = new Set([
+  'type', 'format', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'enum',
+  'title', 'description', 'examples', 'default', '$comment',
+])
+
+function jsonSchemaType(prop) {
+  const types = Array.isArray(prop.type) ? prop.type : [prop.type]
+  const nonNull = types.filter(t => t && t !== 'null')
+  return { type: nonNull[0], multiple: nonNull.length > 1 }
+}
+
+export function fromJSONSchema(doc) {
+  const warnings = []
+  const root = doc.type === 'array' || doc.items ? doc.items || {} : doc
+  const props = root.properties || {}
+  const requiredSet = new Set(Array.isArray(root.required) ? root.required : [])
+
+  const fields = Object.entries(props).map(([name, prop]) => {
+    prop = prop || {}
+    const { type, multiple } = jsonSchemaType(prop)
+    if (multiple) warnings.push(`"${name}": union type ${JSON.stringify(prop.type)} narrowed to "${type}"`)
+
+    let mapped = 'string'
+    if (type === 'integer' || type === 'number') mapped = 'number'
+    else if (type === 'boolean') mapped = 'boolean'
+    else if (type === 'string') {
+      if (prop.format === 'email') mapped = 'email'
+      else if (prop.format === 'date' || prop.format === 'date-time') mapped = 'date'
+      else if (prop.format) warnings.push(`"${name}": string format "${prop.format}" not supported, kept as string`)
+    } else if (type) {
+      warnings.push(`"${name}": type "${type}" has no column equivalent, kept as string`)
+    }
+
+    if (type === 'integer') warnings.push(`"${name}": integer imported as number (fractions will not be rejected)`)
+    if (prop.exclusiveMinimum != null || prop.exclusiveMaximum != null) {
+      warnings.push(`"${name}": exclusiveMinimum/exclusiveMaximum not supported`)
+    }
+    for (const key of Object.keys(prop)) {
+      if (!JSON_SCHEMA_HANDLED.has(key) && key !== 'exclusiveMinimum' && key !== 'exclusiveMaximum') {
+        warnings.push(`"${name}": keyword "${key}" ignored`)
+      }
+    }
+
+    return compact({
+      name,
+      type: mapped,
+      required: requiredSet.has(name),
+      min: prop.minimum,
+      max: prop.maximum,
+      minLength: prop.minLength,
+      maxLength: prop.maxLength,
+      pattern: prop.pattern,
+      enum: Array.isArray(prop.enum) ? prop.enum.filter(v => v !== null).map(String) : undefined,
+    })
+  })
+
+  if (!Object.keys(props).length) warnings.push('No properties found; the schema is empty')
+  if (root.additionalProperties === false) warnings.push('additionalProperties: false is not enforced')
+  return { fields, warnings }
+}
+
+const RULE_LABELS = {
+  requiredIf: 'conditional required',
+  compare: 'field comparisons',
+  exclusiveWith: 'mutually exclusive group',
+  atLeastOneOf: 'at-least-one group',
+  uniqueWith: 'composite unique key',
+}
+
+function ruleWarnings(f, skip = []) {
+  return Object.entries(RULE_LABELS)
+    .filter(([k]) => f[k] !== undefined && !skip.includes(k))
+    .map(([, label]) => `"${f.name}": ${label} not exported`)
+}
+
+export function toJSONSchema(fields) {
+  const warnings = []
+  const properties = {}
+  for (const f of fields) {
+    const prop = {}
+    if (f.type === 'number') prop.type = 'number'
+    else if (f.type === 'currency') {
+      prop.type = 'number'
+      warnings.push(`"${f.name}": currency exported as plain number`)
+    } else if (f.type === 'boolean') prop.type = 'boolean'
+    else if (f.type === 'email') Object.assign(prop, { type: 'string', format: 'email' })
+    else if (f.type === 'date') Object.assign(prop, { type: 'string', format: /H/.test(f.format || '') ? 'date-time' : 'date' })
+    else prop.type = 'string'
+
+    if (!f.required) prop.type = [prop.type, 'null']
+    if (f.min != null) prop.minimum = f.min
+    if (f.max != null) prop.maximum = f.max
+    if (f.minLength != null) prop.minLength = f.minLength
+    if (f.maxLength != null) prop.maxLength = f.maxLength
+    if (f.pattern) prop.pattern = f.pattern
+    if (f.enum?.length) {
+      const values = f.type === 'number' || f.type === 'currency' ? f.enum.map(Number) : f.enum
+      prop.enum = f.required ? values : [...values, null]
+    }
+    if (f.unique) warnings.push(`"${f.name}": unique has no per-property JSON Schema keyword, dropped`)
+    if (f.path) warnings.push(`"${f.name}": output path "${f.path}" not exported`)
+    if (f.aliases?.length) warnings.push(`"${f.name}": aliases not exported`)
+    if (f.transforms?.length) warnings.push(`"${f.name}": transforms not exported`)
+    if (f.expression) warnings.push(`"${f.name}": computed expression not exported`)
+    if (hasLocale(f)) warnings.push(`"${f.name}": input separators/format not exported (JSON Schema describes the ISO output)`)
+    warnings.push(...ruleWarnings(f))
+    if (f.foreignKey) warnings.push(`"${f.name}": foreign key not exported`)
+    properties[f.name] = prop
+  }
+
+  return {
+    schema: {
+      $schema: JSON_SCHEMA_DIALECT,
+      type: 'array',
+      items: {
+        type: 'object',
+        properties,
+        required: fields.filter(f => f.required).map(f => f.name),
+      },
+    },
+    warnings,
+  }
+}
+
+// ---------- Frictionless Table Schema ----------
+
+const TABLE_SCHEMA_HANDLED = new Set(['name', 'type', 'format', 'constraints', 'title', 'description', 'example', 'bareNumber', 'rdfType', 'decimalChar', 'groupChar'])
+const TABLE_CONSTRAINTS_HANDLED = new Set(['required', 'unique', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'enum'])
+
+export function fromTableSchema(doc) {
+  const warnings = []
+  const primaryKey = Array.isArray(doc.primaryKey) ? doc.primaryKey : doc.primaryKey ? [doc.primaryKey] : []
+  // Single-column foreign keys map onto a field's foreignKey; the reference
+  // itself has to be loaded separately under the resource name.
+  const foreignKeys = new Map()
+  for (const fk of doc.foreignKeys || []) {
+    const local = [].concat(fk?.fields ?? [])
+    const remote = [].concat(fk?.reference?.fields ?? [])
+    if (local.length === 1 && remote.length === 1 && fk.reference.resource) {
+      foreignKeys.set(local[0], { reference: fk.reference.resource, column: remote[0] })
+    } else {
+      warnings.push(`foreignKey on ${local.join(', ') || '?'} ignored: only single-column keys to another resource are supported`)
+    }
+  }
+  if (doc.missingValues && JSON.stringify(doc.missingValues) !== '[""]') {
+    warnings.push(`missingValues ${JSON.stringify(doc.missingValues)} ignored; only empty cells count as missing`)
+  }
+
+  const fields = doc.fields.map((f, i) => {
+    const name = String(f?.name ?? `field_${i + 1}`)
+    const c = f.constraints || {}
+
+    let type = 'string'
+    if (f.type === 'integer' || f.type === 'number') type = f.bareNumber === false ? 'currency' : 'number'
+    else if (f.type === 'boolean') type = 'boolean'
+    else if (['date', 'datetime'].includes(f.type)) type = 'date'
+    else if (f.type === 'string' && f.format === 'email') type = 'email'
+    else if (f.type && f.type !== 'string' && f.type !== 'any') {
+      warnings.push(`"${name}": type "${f.type}" not supported, kept as string`)
+    }
+
+    if (f.type === 'integer') warnings.push(`"${name}": integer imported as number (fractions will not be rejected)`)
+    let format
+    if (type === 'date' && f.format && !['default', 'any'].includes(f.format)) {
+      format = fromStrftime(f.format)
+      if (!format) warnings.push(`"${name}": date format "${f.format}" not supported`)
+    } else if (f.format && !['default', 'email', 'any'].includes(f.format)) {
+      warnings.push(`"${name}": format "${f.format}" ignored`)
+    }
+    if (f.trueValues || f.falseValues) warnings.push(`"${name}": custom trueValues/falseValues ignored`)
+    for (const key of Object.keys(f)) {
+      if (!TABLE_SCHEMA_HANDLED.has(key) && key !== 'trueValues' && key !== 'falseValues') {
+        warnings.push(`"${name}": property "${key}" ignored`)
+      }
+    }
+    for (const key of Object.keys(c)) {
+      if (!TABLE_CONSTRAINTS_HANDLED.has(key)) warnings.push(`"${name}": constraint "${key}" ignored`)
+    }
+
+    const numeric = type === 'number' || type === 'currency'
+    if (!numeric && (c.minimum != null || c.maximum != null)) {
+      warnings.push(`"${name}": minimum/maximum only supported on numeric fields`)
+    }
+
+    return compact({
+      name,
+      type,
+      required: Boolean(c.required) || primaryKey.includes(name),
+      min: numeric ? c.minimum : undefined,
+      max: numeric ? c.maximum : undefined,
+      minLength: c.minLength,
+      maxLength: c.maxLength,
+      pattern: c.pattern ? anchorPattern(c.pattern) : undefined,
+      enum: Array.isArray(c.enum) ? c.enum.map(String) : undefined,
+      unique: c.unique || (primaryKey.length === 1 && primaryKey[0] === name) ? true : undefined,
+      uniqueWith: primaryKey.length > 1 && primaryKey[0] === name ? primaryKey.slice(1) : undefined,
+      decimal: numeric && f.decimalChar ? f.decimalChar : undefined,
+      thousands: numeric && typeof f.groupChar === 'string' ? f.groupChar : undefined,
+      format: format || undefined,
+      foreignKey: foreignKeys.get(name),
+    })
+  })
+
+  return { fields, warnings }
+}
+
+// A composite key whose columns are all required maps onto primaryKey.
+export function toTableSchema(fields) {
+  const warnings = []
+  const keyField = fields.find(f => f.uniqueWith?.length && [f.name, ...f.uniqueWith].every(n => fields.find(x => x.name === n)?.required))
+  const out = fields.map(f => {
+    const field = { name: f.name }
+    if (f.type === 'number') field.type = 'number'
+    else if (f.type === 'currency') Object.assign(field, { type: 'number', bareNumber: false })
+    else if (f.type === 'boolean') Object.assign(field, { type: 'boolean', trueValues: ['true', '1'], falseValues: ['false', '0'] })
+    else if (f.type === 'email') Object.assign(field, { type: 'string', format: 'email' })
+    else if (f.type === 'date') {
+      field.type = /H/.test(f.format || '') ? 'datetime' : 'date'
+      const format = f.format ? toStrftime(f.format) : null
+      if (format) field.format = format
+      else if (f.format) warnings.push(`"${f.name}": date format "${f.format}" has no strftime equivalent, exported as default`)
+      else warnings.push(`"${f.name}": date exported with default ISO format; other input formats will not validate`)
+    } else field.type = 'string'
+    if (f.type === 'number' || f.type === 'currency') {
+      if (f.decimal) field.decimalChar = f.decimal
+      if (f.thousands !== undefined) field.groupChar = f.thousands
+    }
+    if (f.currencySymbols?.length) warnings.push(`"${f.name}": currency symbols not exported`)
+
+    const constraints = compact({
+      required: f.required || undefined,
+      unique: f.unique || undefined,
+      minimum: f.min,
+      maximum: f.max,
+      minLength: f.minLength,
+      maxLength: f.maxLength,
+      pattern: f.pattern ? unanchorPattern(f.pattern) : undefined,
+      enum: f.enum?.length ? f.enum : undefined,
+    })
+    if (Object.keys(constraints).length) field.constraints = constraints
+    if (f.path) warnings.push(`"${f.name}": output path "${f.path}" not exported`)
+    if (f.aliases?.length) warnings.push(`"${f.name}": aliases not exported`)
+    if (f.transforms?.length) warnings.push(`"${f.name}": transforms not exported`)
+    if (f.expression) warnings.push(`"${f.name}": computed expression not exported`)
+    warnings.push(...ruleWarnings(f, f === keyField ? ['uniqueWith'] : []))
+    if (f.foreignKey?.values) warnings.push(`"${f.name}": embedded foreign key list not exported`)
+    if (f.foreignKey?.join) warnings.push(`"${f.name}": joined reference columns not exported`)
+    return field
+  })
+  const schema = { fields: out, missingValues: [''] }
+  if (keyField) schema.primaryKey = [keyField.name, ...keyField.uniqueWith]
+  const foreignKeys = fields
+    .filter(f => f.foreignKey?.reference && f.foreignKey.column)
+    .map(f => ({ fields: f.name, reference: { resource: f.foreignKey.reference, fields: f.foreignKey.column } }))
+  if (foreignKeys.length) schema.foreignKeys = foreignKeys
+  return { schema, warnings }
+}
@@ -0,0 +1,143 @@
+// Named schemas kept in IndexedDB. Every save adds a version; rolling back
+// saves an old version again, so history is never rewritten.
+//
+//   schemas:  { id, name, tags, createdAt, updatedAt, latest }
+//   versions: { id, schemaId, version, schema, note, savedAt }
+
+const DB_NAME = 'csv2json'
+const DB_VERSION = 1
+
+let dbPromise = null
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+function openDB() {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available in this browser'))
+    const req = indexedDB.open(DB_NAME, DB_VERSION)
+    req.onupgradeneeded = () => {
+      const db = req.result
+      db.createObjectStore('schemas', { keyPath: 'id' })
+      const versions = db.createObjectStore('versions', { keyPath: 'id', autoIncrement: true })
+      versions.createIndex('schemaId', 'schemaId')
+    }
+    dbPromise = request(req).catch(err => {
+      dbPromise = null
+      throw err
+    })
+  }
+  return dbPromise
+}
+
+// Runs `fn(stores)` in one transaction and resolves with its result once
+// the transaction commits; a throw inside `fn` aborts it.
+async function transact(mode, fn) {
+  const db = await openDB()
+  const tx = db.transaction(['schemas', 'versions'], mode)
+  const committed = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error || new Error('transaction aborted'))
+  })
+  try {
+    const result = await fn({ schemas: tx.objectStore('schemas'), versions: tx.objectStore('versions') })
+    await committed
+    return result
+  } catch (err) {
+    committed.catch(() => {})
+    try { tx.abort() } catch { /* already finished */ }
+    throw err
+  }
+}
+
+const newId = () => globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',')
+  return [...new Set(list.map(t => t.trim().toLowerCase()).filter(Boolean))]
+}
+
+// Newest first.
+export async function listSchemas() {
+  const db = await openDB()
+  const all = await request(db.transaction('schemas').objectStore('schemas').getAll())
+  return all.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+}
+
+// Case-insensitive match on name or tags; `#tag` matches a tag exactly.
+export function searchSchemas(entries, query) {
+  const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean)
+  return entries.filter(e => terms.every(t => (t.startsWith('#')
+    ? e.tags.includes(t.slice(1))
+    : e.name.toLowerCase().includes(t) || e.tags.some(tag => tag.includes(t)))))
+}
+
+// Oldest first.
+export async function listVersions(schemaId) {
+  const db = await openDB()
+  const index = db.transaction('versions').objectStore('versions').index('schemaId')
+  const all = await request(index.getAll(schemaId))
+  return all.sort((a, b) => a.version - b.version)
+}
+
+// Saves `schema` as the next version of entry `id`, or as a new entry when
+// `id` is omitted. Returns the entry.
+export async function saveSchema({ id, name, tags, schema, note = '' }) {
+  const now = new Date().toISOString()
+  return transact('readwrite', async ({ schemas, versions }) => {
+    const existing = id ? await request(schemas.get(id)) : null
+    if (id && !existing) throw new Error('schema not found')
+    const entry = existing
+      ? { ...existing, name: name ?? existing.name, tags: tags ? normalizeTags(tags) : existing.tags, updatedAt: now, latest: existing.latest + 1 }
+      : { id: newId(), name: name || 'Untitled schema', tags: normalizeTags(tags), createdAt: now, updatedAt: now, latest: 1 }
+    schemas.put(entry)
+    versions.add({ schemaId: entry.id, version: entry.latest, schema, note, savedAt: now })
+    return entry
+  })
+}
+
+// Name and tags only; no new version.
+export async function updateSchemaInfo(id, { name, tags }) {
+  return transact('readwrite', async ({ schemas }) => {
+    const existing = await request(schemas.get(id))
+    if (!existing) throw new Error('schema not found')
+    const entry = { ...existing, name: name ?? existing.name, tags: tags ? normalizeTags(tags) : existing.tags }
+    schemas.put(entry)
+    return entry
+  })
+}
+
+// A new entry starting from the latest version of `id`.
+export async function duplicateSchema(id, name) {
+  const versions = await listVersions(id)
+  const latest = versions[versions.length - 1]
+  const db = await openDB()
+  const source = await request(db.transaction('schemas').objectStore('schemas').get(id))
+  if (!source) throw new Error('schema not found')
+  return saveSchema({
+    name: name || `${source.name} (copy)`,
+    tags: source.tags,
+    schema: latest?.schema || [],
+    note: `Copied from "${source.name}" v${latest?.version ?? 0}`,
+  })
+}
+
+export function deleteSchema(id) {
+  return transact('readwrite', async ({ schemas, versions }) => {
+    schemas.delete(id)
+    const keys = await request(versions.index('schemaId').getAllKeys(id))
+    for (const key of keys) versions.delete(key)
+  })
+}
+
+// Saves version `version` of `id` again as its newest version.
+export async function rollbackSchema(id, version) {
+  const old = (await listVersions(id)).find(v => v.version === version)
+  if (!old) throw new Error(`version ${version} not found`)
+  return saveSchema({ id, schema: old.schema, note: `Rolled back to v${version}` })
+}
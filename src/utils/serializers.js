@@ -0,0 +1,172 @@
+// Serializers for the export formats offered in Step 5. Each takes the
+// records produced by buildRecords and returns { text, mime, ext }.
+// Problems that make an export impossible (e.g. duplicate keys for the
+// keyed map) are thrown as Errors with a user-facing message.
+
+export const EXPORT_FORMATS = {
+  json: 'JSON',
+  ndjson: 'NDJSON / JSON Lines',
+  keyed: 'JSON object keyed by column',
+  yaml: 'YAML',
+  sql: 'SQL INSERT',
+  xml: 'XML',
+}
+
+export const SQL_DIALECTS = { postgres: 'PostgreSQL', mysql: 'MySQL', sqlite: 'SQLite' }
+
+const SQL_BATCH = 500
+
+export function serializeRecords(records, format, options = {}) {
+  if (format === 'ndjson') return { text: toNDJSON(records), mime: 'application/x-ndjson', ext: 'ndjson' }
+  if (format === 'keyed') return { text: JSON.stringify(toKeyedMap(records, options.keyColumn), null, 2), mime: 'application/json', ext: 'json' }
+  if (format === 'yaml') return { text: toYAML(records), mime: 'application/yaml', ext: 'yaml' }
+  if (format === 'sql') return { text: toSQL(records, options), mime: 'application/sql', ext: 'sql' }
+  if (format === 'xml') return { text: toXML(records, options), mime: 'application/xml', ext: 'xml' }
+  return { text: JSON.stringify(records, null, 2), mime: 'application/json', ext: 'json' }
+}
+
+function isObject(v) {
+  return v !== null && typeof v === 'object'
+}
+
+// Union of top-level keys in first-seen order.
+function columnsOf(records) {
+  const seen = new Set()
+  for (const r of records) for (const k of Object.keys(r)) seen.add(k)
+  return [...seen]
+}
+
+// ---------- NDJSON ----------
+
+export function toNDJSON(records) {
+  return records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : '')
+}
+
+// ---------- keyed object map ----------
+
+// Keys come from the data, so the map has no prototype: a "__proto__" key
+// is stored like any other.
+export function toKeyedMap(records, keyColumn) {
+  if (!keyColumn) throw new Error('Choose a key column for the keyed export')
+  const out = Object.create(null)
+  const firstRow = new Map()
+  records.forEach((r, i) => {
+    const v = r[keyColumn]
+    if (v === null || v === undefined || v === '') throw new Error(`Row ${i + 1}: key column "${keyColumn}" is empty`)
+    if (isObject(v)) throw new Error(`Key column "${keyColumn}" holds objects, pick a scalar column`)
+    const key = String(v)
+    if (firstRow.has(key)) throw new Error(`Duplicate key "${key}" in "${keyColumn}" (rows ${firstRow.get(key)} and ${i + 1})`)
+    firstRow.set(key, i + 1)
+    out[key] = r
+  })
+  return out
+}
+
+// ---------- YAML ----------
+
+const YAML_RESERVED = /^(?:true|false|yes|no|on|off|y|n|null|~)$/i
+
+function yamlScalar(v) {
+  if (v === null || v === undefined) return 'null'
+  if (typeof v === 'boolean' || typeof v === 'number') return String(v)
+  const s = String(v)
+  const plain = /^[A-Za-z_][\w .@/+-]*$/.test(s) && !/ $/.test(s) && !YAML_RESERVED.test(s)
+  // JSON strings are valid YAML double-quoted scalars.
+  return plain ? s : JSON.stringify(s)
+}
+
+function yamlNode(v, indent) {
+  const pad = ' '.repeat(indent)
+  if (Array.isArray(v)) {
+    if (!v.length) return ' []'
+    return v.map(item => `\n${pad}-${yamlNode(item, indent + 2).replace(/^\n\s*/, ' ')}`).join('')
+  }
+  if (isObject(v)) {
+    const keys = Object.keys(v)
+    if (!keys.length) return ' {}'
+    return keys.map(k => `\n${pad}${yamlScalar(k)}:${yamlNode(v[k], indent + 2)}`).join('')
+  }
+  return ` ${yamlScalar(v)}`
+}
+
+export function toYAML(records) {
+  if (!records.length) return '[]\n'
+  return yamlNode(records, 0).replace(/^\n/, '') + '\n'
+}
+
+// ---------- SQL ----------
+
+function sqlIdent(name, dialect) {
+  if (dialect === 'mysql') return '`' + String(name).replaceAll('`', '``') + '`'
+  return '"' + String(name).replaceAll('"', '""') + '"'
+}
+
+function sqlString(s, dialect) {
+  let v = String(s).replaceAll("'", "''")
+  // MySQL treats backslash as an escape character inside string literals.
+  if (dialect === 'mysql') v = v.replaceAll('\\', '\\\\').replaceAll('\0', '\\0')
+  else v = v.replaceAll('\0', '')
+  return `'${v}'`
+}
+
+function sqlValue(v, dialect) {
+  if (v === null || v === undefined) return 'NULL'
+  if (typeof v === 'number') return Number.isFinite(v) ? String(v) : 'NULL'
+  if (typeof v === 'boolean') return dialect === 'postgres' ? (v ? 'TRUE' : 'FALSE') : (v ? '1' : '0')
+  if (isObject(v)) return sqlString(JSON.stringify(v), dialect)
+  return sqlString(v, dialect)
+}
+
+export function toSQL(records, { table = 'data', dialect = 'postgres' } = {}) {
+  if (!String(table).trim()) throw new Error('Table name is required for SQL export')
+  const cols = columnsOf(records)
+  if (!cols.length) return ''
+  const head = `INSERT INTO ${sqlIdent(table.trim(), dialect)} (${cols.map(c => sqlIdent(c, dialect)).join(', ')}) VALUES`
+  const out = []
+  for (let i = 0; i < records.length; i += SQL_BATCH) {
+    const values = records.slice(i, i + SQL_BATCH)
+      .map(r => `  (${cols.map(c => sqlValue(r[c], dialect)).join(', ')})`)
+    out.push(`${head}\n${values.join(',\n')};`)
+  }
+  return out.join('\n\n') + '\n'
+}
+
+// ---------- XML ----------
+
+export function xmlName(name) {
+  let n = String(name).trim().replace(/[^A-Za-z0-9_.-]/g, '_')
+  if (!/^[A-Za-z_]/.test(n) || /^xml/i.test(n)) n = `_${n}`
+  return n
+}
+
+function xmlEscape(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&apos;')
+    // Control characters other than tab/newline/CR are not allowed in XML 1.0.
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+}
+
+function xmlElement(name, v, indent) {
+  const pad = '  '.repeat(indent)
+  const tag = xmlName(name)
+  if (v === null || v === undefined) return `${pad}<${tag}/>`
+  if (Array.isArray(v)) {
+    const items = v.map(item => xmlElement('item', item, indent + 1))
+    return items.length ? `${pad}<${tag}>\n${items.join('\n')}\n${pad}</${tag}>` : `${pad}<${tag}/>`
+  }
+  if (isObject(v)) {
+    const children = Object.keys(v).map(k => xmlElement(k, v[k], indent + 1))
+    return children.length ? `${pad}<${tag}>\n${children.join('\n')}\n${pad}</${tag}>` : `${pad}<${tag}/>`
+  }
+  return `${pad}<${tag}>${xmlEscape(v)}</${tag}>`
+}
+
+export function toXML(records, { root = 'rows', row = 'row' } = {}) {
+  const rootTag = xmlName(root || 'rows')
+  const body = records.map(r => xmlElement(row || 'row', r, 1))
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<${rootTag}>\n${body.join('\n')}${body.length ? '\n' : ''}</${rootTag}>\n`
+}
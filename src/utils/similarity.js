@@ -0,0 +1,21 @@
+// String similarity shared by header matching and reference suggestions.
+
+// Case, whitespace and punctuation-insensitive form: "E-mail " -> "email".
+export function normalizeHeader(s) {
+  return String(s ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '')
+}
+
+export function editDistance(a, b) {
+  if (a === b) return 0
+  if (!a.length) return b.length
+  if (!b.length) return a.length
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i]
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+    }
+    prev = cur
+  }
+  return prev[b.length]
+}
@@ -0,0 +1,262 @@
+import { formatDateParts, parseDateWithFormat } from './dates.js'
+import { parseCurrency } from './validators.js'
+
+// Per-field cleaning pipeline and computed fields.
+//
+// A field may carry `transforms`, an ordered list of steps applied to the
+// raw cell before coercion and validation:
+//   { op: 'trim' } | { op: 'collapse' } | { op: 'upper' } | { op: 'lower' } | { op: 'title' }
+//   { op: 'default', value }
+//   { op: 'replace', pattern, replacement, flags }
+//   { op: 'split', separator }                 -> turns the value into an array
+//   { op: 'date', from, to }                   -> e.g. dd/MM/yyyy -> yyyy-MM-dd
+//   { op: 'map', table: { Y: true, N: false } }
+// A field with an `expression` is computed from other columns, e.g.
+//   first + " " + last        upper([Last Name])        num(qty) * num(price)
+
+export const TRANSFORM_OPS = {
+  trim: 'Trim',
+  collapse: 'Collapse whitespace',
+  upper: 'UPPER CASE',
+  lower: 'lower case',
+  title: 'Title Case',
+  default: 'Default when empty',
+  replace: 'Find / replace (regex)',
+  split: 'Split into array',
+  date: 'Reformat date',
+  map: 'Lookup table',
+}
+
+function isEmpty(v) {
+  return v === undefined || v === null || String(v).trim() === ''
+}
+
+const regexCache = new Map()
+
+function cachedRegex(pattern, flags) {
+  const key = `${flags}/${pattern}`
+  if (!regexCache.has(key)) {
+    let re = null
+    try { re = new RegExp(pattern, flags) } catch { re = null }
+    regexCache.set(key, re)
+  }
+  return regexCache.get(key)
+}
+
+function lookup(table, v) {
+  const s = String(v)
+  if (Object.prototype.hasOwnProperty.call(table, s)) return table[s]
+  const norm = s.trim().toLowerCase()
+  for (const [k, out] of Object.entries(table)) if (k.trim().toLowerCase() === norm) return out
+  return v
+}
+
+function applyStep(value, step) {
+  if (step.op === 'default') return isEmpty(value) ? step.value ?? '' : value
+  if (Array.isArray(value)) return value.map(v => applyStep(v, step))
+  if (value === null || value === undefined) return value
+  if (step.op === 'map') return lookup(step.table || {}, value)
+  if (typeof value !== 'string') value = String(value)
+
+  switch (step.op) {
+    case 'trim': return value.trim()
+    case 'collapse': return value.replace(/\s+/g, ' ').trim()
+    case 'upper': return value.toUpperCase()
+    case 'lower': return value.toLowerCase()
+    case 'title': return value.toLowerCase().replace(/(^|[\s\-'])(\p{L})/gu, (_, pre, c) => pre + c.toUpperCase())
+    case 'replace': {
+      const re = step.pattern ? cachedRegex(step.pattern, step.flags ?? 'g') : null
+      return re ? value.replace(re, step.replacement ?? '') : value
+    }
+    case 'split': {
+      if (value === '') return []
+      return value.split(step.separator || ',').map(s => s.trim())
+    }
+    case 'date': {
+      if (!step.from || value === '') return value
+      const parts = parseDateWithFormat(value, step.from)
+      return parts ? formatDateParts(parts, step.to || 'yyyy-MM-dd') : value
+    }
+    default: return value
+  }
+}
+
+export function applyTransforms(value, steps = []) {
+  return steps.reduce(applyStep, value)
+}
+
+// ---------- expressions ----------
+
+const FUNCTIONS = {
+  upper: s => String(s ?? '').toUpperCase(),
+  lower: s => String(s ?? '').toLowerCase(),
+  trim: s => String(s ?? '').trim(),
+  len: s => String(s ?? '').length,
+  num: (s, field = {}) => {
+    if (typeof s === 'number') return s
+    const n = parseCurrency(String(s ?? '').trim(), field)
+    return Number.isFinite(n) ? n : null
+  },
+  round: (n, d = 0) => {
+    const f = 10 ** Number(d)
+    return Math.round(Number(n) * f) / f
+  },
+  concat: (...args) => args.map(a => a ?? '').join(''),
+  coalesce: (...args) => args.find(a => !isEmpty(a)) ?? '',
+}
+
+function tokenize(src) {
+  const tokens = []
+  let i = 0
+  while (i < src.length) {
+    const c = src[i]
+    if (/\s/.test(c)) { i++; continue }
+    if (c === '"' || c === "'") {
+      let j = i + 1
+      let s = ''
+      while (j < src.length && src[j] !== c) {
+        if (src[j] === '\\' && j + 1 < src.length) { s += src[j + 1]; j += 2 } else s += src[j++]
+      }
+      if (j >= src.length) throw new Error('Unterminated string')
+      tokens.push({ t: 'str', v: s })
+      i = j + 1
+      continue
+    }
+    if (c === '[') {
+      const j = src.indexOf(']', i)
+      if (j === -1) throw new Error('Unterminated [column name]')
+      tokens.push({ t: 'id', v: src.slice(i + 1, j) })
+      i = j + 1
+      continue
+    }
+    const num = /^\d+(\.\d+)?/.exec(src.slice(i))
+    if (num) { tokens.push({ t: 'num', v: Number(num[0]) }); i += num[0].length; continue }
+    const id = /^[\p{L}_][\p{L}\p{N}_.]*/u.exec(src.slice(i))
+    if (id) { tokens.push({ t: 'id', v: id[0] }); i += id[0].length; continue }
+    if ('+-*/%(),'.includes(c)) { tokens.push({ t: c }); i++; continue }
+    throw new Error(`Unexpected "${c}"`)
+  }
+  return tokens
+}
+
+// Recursive-descent parser producing a small AST; no eval involved.
+function parse(tokens) {
+  let pos = 0
+  const peek = () => tokens[pos]
+  const take = (t) => {
+    if (peek()?.t !== t) throw new Error(`Expected "${t}"`)
+    return tokens[pos++]
+  }
+
+  function primary() {
+    const tok = tokens[pos++]
+    if (!tok) throw new Error('Unexpected end of expression')
+    if (tok.t === 'num' || tok.t === 'str') return { k: 'lit', v: tok.v }
+    if (tok.t === '-') return { k: 'neg', a: primary() }
+    if (tok.t === '(') { const e = additive(); take(')'); return e }
+    if (tok.t === 'id') {
+      if (peek()?.t === '(') {
+        if (!FUNCTIONS[tok.v]) throw new Error(`Unknown function ${tok.v}()`)
+        pos++
+        const args = []
+        if (peek()?.t !== ')') {
+          args.push(additive())
+          while (peek()?.t === ',') { pos++; args.push(additive()) }
+        }
+        take(')')
+        return { k: 'call', fn: tok.v, args }
+      }
+      return { k: 'col', name: tok.v }
+    }
+    throw new Error(`Unexpected "${tok.t}"`)
+  }
+
+  function multiplicative() {
+    let e = primary()
+    while (['*', '/', '%'].includes(peek()?.t)) e = { k: 'op', op: tokens[pos++].t, a: e, b: primary() }
+    return e
+  }
+
+  function additive() {
+    let e = multiplicative()
+    while (['+', '-'].includes(peek()?.t)) e = { k: 'op', op: tokens[pos++].t, a: e, b: multiplicative() }
+    return e
+  }
+
+  const ast = additive()
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].v ?? tokens[pos].t}"`)
+  return ast
+}
+
+// `field` is the computed field; num() reads numbers with its locale
+// settings (separators and currency symbols, global defaults included).
+function evaluate(node, resolve, field) {
+  switch (node.k) {
+    case 'lit': return node.v
+    case 'col': return resolve(node.name)
+    case 'neg': return -Number(evaluate(node.a, resolve, field))
+    case 'call': {
+      const args = node.args.map(a => evaluate(a, resolve, field))
+      return node.fn === 'num' ? FUNCTIONS.num(args[0], field) : FUNCTIONS[node.fn](...args)
+    }
+    case 'op': {
+      const a = evaluate(node.a, resolve, field)
+      const b = evaluate(node.b, resolve, field)
+      // "+" adds numbers and concatenates anything else (CSV cells are strings).
+      if (node.op === '+') return typeof a === 'number' && typeof b === 'number' ? a + b : `${a ?? ''}${b ?? ''}`
+      const x = Number(a)
+      const y = Number(b)
+      if (node.op === '-') return x - y
+      if (node.op === '*') return x * y
+      if (node.op === '/') return y === 0 ? null : x / y
+      return y === 0 ? null : x % y
+    }
+    default: return null
+  }
+}
+
+const astCache = new Map()
+
+// Throws with a readable message when the expression doesn't parse.
+export function compileExpression(expr) {
+  if (!astCache.has(expr)) astCache.set(expr, parse(tokenize(String(expr))))
+  return astCache.get(expr)
+}
+
+export function expressionError(expr) {
+  try { compileExpression(expr); return null } catch (err) { return err.message }
+}
+
+function hasPipeline(f) {
+  return (Array.isArray(f.transforms) && f.transforms.length > 0) || Boolean(f.expression)
+}
+
+// Returns the row as validation and export should see it: transformed cells
+// plus computed fields. Rows without any pipeline are returned untouched, and
+// columns the row doesn't have stay absent so validation reports them.
+// Expressions resolve names against CSV headers first, then schema names.
+export function prepareRow(row, schema) {
+  if (!schema.some(hasPipeline)) return row
+  const out = { ...row }
+  for (const f of schema) {
+    if (f.expression || !f.transforms?.length || !Object.hasOwn(row, f.name)) continue
+    out[f.name] = applyTransforms(row[f.name] ?? '', f.transforms)
+  }
+  const resolve = (name) => {
+    if (Object.hasOwn(out, name)) return out[name]
+    const f = schema.find(x => x.exportName === name)
+    return f ? out[f.name] : undefined
+  }
+  for (const f of schema) {
+    if (!f.expression) continue
+    let value
+    try {
+      value = evaluate(compileExpression(f.expression), resolve, f)
+    } catch {
+      value = ''
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) value = null
+    out[f.name] = applyTransforms(value ?? '', f.transforms || [])
+  }
+  return out
+}
@@ -1,11 +1,14 @@
+import { isoTime, parseDateWithFormat, toISOFromParts } from './dates.js'
+import { missingKey } from './references.js'
+
 // Simple validators for demo purposes.
 export function required(value) {
   return value !== undefined && value !== null && String(value).trim() !== ''
 }
 
-export function isNumber(value) {
+export function isNumber(value, field = {}) {
   if (value === '' || value === null || value === undefined) return false
-  return !isNaN(Number(value))
+  return !isNaN(parseNumber(value, field))
 }
 
 export function isEmail(value) {
@@ -24,63 +27,423 @@ export function toBoolean(value) {
   return v === 'true' || v === '1'
 }
 
+export const DEFAULT_CURRENCY_SYMBOLS = ['$', '€', '£']
+
+// Locale settings a field may carry (the global defaults are merged in by
+// `applyLocale`): `decimal` and `thousands` separators, `currencySymbols`,
+// and `format`, an explicit date input pattern such as dd/MM/yyyy.
+function hasNumberLocale(field) {
+  return field.decimal != null || field.thousands != null
+}
+
 export function stripCurrency(value) {
   return String(value).replace(/[$€£, ]/g, '')
 }
 
-export function isCurrency(value) {
-  if (!required(value)) return false
-  const n = Number(stripCurrency(value))
-  return Number.isFinite(n)
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+const LOCALE_NUMBER = /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/
+
+// Number(value) unless the field declares separators, in which case only
+// digits, a single decimal separator and thousands separators between
+// 3-digit groups are accepted: "1.234,56" with decimal "," is 1234.56, while
+// "1.5" and "12.34" are not numbers there.
+export function parseNumber(value, field = {}) {
+  if (typeof value === 'number') return value
+  if (!hasNumberLocale(field)) return Number(value)
+  const decimal = field.decimal || '.'
+  const thousands = field.thousands ?? (decimal === ',' ? '.' : ',')
+  let s = String(value).trim()
+  if (thousands) {
+    const sep = thousands === ' ' ? '[\\s\\u00a0\\u202f]' : escapeRe(thousands)
+    const [int, ...rest] = s.split(decimal)
+    const sign = /^[+-]/.test(int) ? int[0] : ''
+    let digits = int.slice(sign.length)
+    if (new RegExp(sep).test(digits)) {
+      if (!new RegExp(`^\\d{1,3}(${sep}\\d{3})+$`).test(digits)) return NaN
+      digits = digits.replace(new RegExp(sep, 'g'), '')
+    }
+    s = [sign + digits, ...rest].join(decimal)
+  }
+  if (decimal !== '.') {
+    if (s.includes('.')) return NaN
+    s = s.replace(decimal, '.')
+  }
+  return LOCALE_NUMBER.test(s) ? Number(s) : NaN
+}
+
+export function parseCurrency(value, field = {}) {
+  if (typeof value === 'number') return value
+  let s = String(value).trim()
+  for (const sym of field.currencySymbols || DEFAULT_CURRENCY_SYMBOLS) s = s.split(sym).join('')
+  if (!hasNumberLocale(field)) return Number(s.replace(/[, ]/g, ''))
+  return parseNumber(s.trim(), field)
 }
 
-export function isDate(value) {
+export function isCurrency(value, field = {}) {
   if (!required(value)) return false
+  return Number.isFinite(parseCurrency(value, field))
+}
+
+const ISO_DATE = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2})(:\d{2})?(\.\d+)?(Z|[+-]\d{2}:?\d{2})?)?$/
 
-  const ts = Date.parse(String(value))
-  return !Number.isNaN(ts)
+// With an explicit `format` only that pattern is accepted; without one, only
+// ISO 8601. Either way the result is built from the parsed parts, so it
+// doesn't depend on the browser or the machine's timezone. An offset in the
+// input is kept as written ("+0100" becomes "+01:00").
+export function parseDate(value, field = {}) {
+  const s = String(value).trim()
+  if (field.format) {
+    const parts = parseDateWithFormat(s, field.format)
+    return parts ? toISOFromParts(parts) : null
+  }
+  const m = ISO_DATE.exec(s)
+  if (!m) return null
+  const [, date, time, seconds = ':00', fraction = '', zone = ''] = m
+  const parts = time
+    ? parseDateWithFormat(`${date} ${time}${seconds}`, 'yyyy-MM-dd HH:mm:ss')
+    : parseDateWithFormat(date, 'yyyy-MM-dd')
+  if (!parts) return null
+  const offset = zone.length > 1 && zone.length !== 6 ? `${zone.slice(0, 3)}:${zone.slice(3)}` : zone
+  if (offset.length > 1 && (Number(offset.slice(1, 3)) > 23 || Number(offset.slice(4)) > 59)) return null
+  return toISOFromParts(parts) + fraction + offset
+}
+
+export function isDate(value, field = {}) {
+  if (!required(value)) return false
+  return parseDate(value, field) !== null
 }
 
-export function coerceType(value, type) {
-  if (type === 'number') return value === '' ? null : Number(value)
-  if (type === 'currency') return value === '' ? null : Number(stripCurrency(value))
+// `field` supplies the locale settings; callers without one get the defaults.
+export function coerceType(value, type, field = {}) {
+  if (type === 'number') return value === '' ? null : parseNumber(value, field)
+  if (type === 'currency') return value === '' ? null : parseCurrency(value, field)
   if (type === 'boolean') return toBoolean(value)
-  if (type === 'date') return String(value)
+  if (type === 'date') return value === '' ? null : parseDate(value, field) ?? String(value)
   if (type === 'email') return String(value)
   if (type === 'string') return value === null || value === undefined ? '' : String(value)
   return value
 }
 
-// Given a row object and schema (array of {name, type, required:bool})
-export function validateRow(row, schema) {
+const LOCALE_KEYS_BY_TYPE = {
+  number: ['decimal', 'thousands'],
+  currency: ['decimal', 'thousands', 'currencySymbols'],
+  date: ['format'],
+}
+
+// Fills each field's unset locale settings from the global defaults.
+// Computed fields also get the number settings, which their num() uses.
+export function applyLocale(schema, locale = {}) {
+  const isSet = v => v !== undefined && !(Array.isArray(v) && !v.length)
+  if (!Object.values(locale).some(isSet)) return schema
+  return schema.map(f => {
+    const own = LOCALE_KEYS_BY_TYPE[f.type] || []
+    const keys = (f.expression ? [...new Set([...own, ...LOCALE_KEYS_BY_TYPE.currency])] : own)
+      .filter(k => f[k] === undefined && isSet(locale[k]))
+    if (!keys.length) return f
+    const out = { ...f }
+    for (const k of keys) out[k] = locale[k]
+    return out
+  })
+}
+
+const patternCache = new Map()
+
+function compilePattern(pattern) {
+  if (!patternCache.has(pattern)) {
+    let re = null
+    try { re = new RegExp(pattern) } catch { re = null }
+    patternCache.set(pattern, re)
+  }
+  return patternCache.get(pattern)
+}
+
+// Every check produces a structured error:
+//   { row, column, code, message, value, expected }
+// `row` is the 1-based data row (null outside a dataset) and `code` one of
+// ERROR_CODES, so the report, preview highlights and errors CSV all agree.
+export const ERROR_CODES = {
+  missing_column: 'Missing column',
+  required: 'Required',
+  type: 'Wrong type',
+  min: 'Below minimum',
+  max: 'Above maximum',
+  min_length: 'Too short',
+  max_length: 'Too long',
+  pattern: 'Pattern mismatch',
+  enum: 'Not an allowed value',
+  unique: 'Duplicate',
+  required_if: 'Conditionally required',
+  compare: 'Comparison failed',
+  exclusive: 'Mutually exclusive',
+  at_least_one: 'None of a group filled',
+  foreign_key: 'Unknown reference',
+}
+
+function cellError(field, code, message, value, expected) {
+  return { column: field.name, code, message: `Field "${field.name}" ${message}`, value, expected }
+}
+
+// type -> [message, expected]
+const TYPE_RULES = {
+  number: f => [`must be a number${f.decimal ? ` (decimal "${f.decimal}")` : ''}`, 'number'],
+  currency: () => ['must be currency/number', 'currency/number'],
+  email: () => ['must be a valid email', 'email'],
+  boolean: () => ['must be boolean (true/false/1/0)', 'true/false/1/0'],
+  date: f => [`must be a valid date${f.format ? ` (${f.format})` : ''}`, f.format || 'date'],
+}
+
+// Type check for one non-empty cell.
+export function typeError(field, raw) {
+  if (!required(raw)) return null
+  let ok = true
+  if (field.type === 'number') ok = isNumber(raw, field)
+  else if (field.type === 'currency') ok = isCurrency(raw, field)
+  else if (field.type === 'email') ok = isEmail(raw)
+  else if (field.type === 'boolean') ok = isBoolean(raw)
+  else if (field.type === 'date') ok = isDate(raw, field)
+  if (ok) return null
+  const [message, expected] = TYPE_RULES[field.type](field)
+  return cellError(field, 'type', message, raw, expected)
+}
+
+// Per-value constraint checks: min/max (number, currency), minLength/maxLength,
+// pattern and enum. Empty values are left to the `required` rule.
+export function constraintErrors(field, raw) {
   const errors = []
-  for (const field of schema) {
-    if (!(field.name in row)) {
-      errors.push(`Missing column: ${field.name}`)
-      continue
-    }
-    const raw = row[field.name]
-    const val = coerceType(raw, field.type)
+  if (!required(raw)) return errors
+  const str = String(raw)
 
-    if (field.required && !required(val)) {
-      errors.push(`Field "${field.name}" is required`)
+  if (field.type === 'number' || field.type === 'currency') {
+    const n = coerceType(raw, field.type, field)
+    if (Number.isFinite(n)) {
+      if (field.min != null && n < field.min) errors.push(cellError(field, 'min', `must be at least ${field.min}`, raw, `>= ${field.min}`))
+      if (field.max != null && n > field.max) errors.push(cellError(field, 'max', `must be at most ${field.max}`, raw, `<= ${field.max}`))
     }
+  }
+  if (field.minLength != null && str.length < field.minLength) {
+    errors.push(cellError(field, 'min_length', `must be at least ${field.minLength} characters`, raw, `>= ${field.minLength} characters`))
+  }
+  if (field.maxLength != null && str.length > field.maxLength) {
+    errors.push(cellError(field, 'max_length', `must be at most ${field.maxLength} characters`, raw, `<= ${field.maxLength} characters`))
+  }
+  if (field.pattern) {
+    const re = compilePattern(field.pattern)
+    if (!re) errors.push(cellError(field, 'pattern', `has an invalid pattern ${field.pattern}`, raw, field.pattern))
+    else if (!re.test(str)) errors.push(cellError(field, 'pattern', `must match pattern ${field.pattern}`, raw, field.pattern))
+  }
+  if (Array.isArray(field.enum) && field.enum.length && !field.enum.map(String).includes(str.trim())) {
+    errors.push(cellError(field, 'enum', `must be one of: ${field.enum.join(', ')}`, raw, field.enum.join(', ')))
+  }
+  return errors
+}
+
+// Needs a foreignKey resolved by resolveReferences (it carries `keys`).
+function foreignKeyErrors(field, raw) {
+  const fk = field.foreignKey
+  if (!fk?.keys || !required(raw)) return []
+  const errors = []
+  for (const value of Array.isArray(raw) ? raw.filter(required) : [raw]) {
+    const suggestions = missingKey(fk, value)
+    if (!suggestions) continue
+    const hint = suggestions.length ? ` (did you mean ${suggestions.join(', ')}?)` : ''
+    errors.push(cellError(field, 'foreign_key', `value "${String(value).trim()}" not found in ${fk.label}${hint}`, raw, `a value from ${fk.label}`))
+  }
+  return errors
+}
+
+// Cross-field rules, declared on a field and naming other fields:
+//   requiredIf: { field, equals? }  required when `field` holds `equals` (a
+//                                   value or a list), or is filled when unset
+//   compare: [{ op, field }]        e.g. end_date { op: '>=', field: 'start_date' }
+//   exclusiveWith: [names]          at most one of this field and these is filled
+//   atLeastOneOf: [names]           at least one of this field and these is filled
+//   uniqueWith: [names]             this field plus these form a unique key
+export const COMPARE_OPS = ['<', '<=', '>', '>=', '=', '!=']
+
+const COMPARE = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '=': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+}
 
-    if (field.type === 'number' && required(raw) && !isNumber(raw)) {
-      errors.push(`Field "${field.name}" must be a number`)
+export const FIELD_REF_KEYS = ['requiredIf', 'compare', 'exclusiveWith', 'atLeastOneOf', 'uniqueWith']
+
+export function hasFieldRefs(field) {
+  return FIELD_REF_KEYS.some(k => field[k] !== undefined)
+}
+
+// Names of the other fields a field's rules refer to.
+export function fieldRefs(field) {
+  const names = []
+  renameFieldRefs(field, name => { names.push(name); return name })
+  return names
+}
+
+// Returns the field with every reference to another field passed through
+// `rename`, for header mapping.
+export function renameFieldRefs(field, rename) {
+  const list = names => (Array.isArray(names) ? names.map(rename) : names)
+  const out = { ...field }
+  if (field.requiredIf?.field) out.requiredIf = { ...field.requiredIf, field: rename(field.requiredIf.field) }
+  if (Array.isArray(field.compare)) out.compare = field.compare.map(c => ({ ...c, field: rename(c.field) }))
+  for (const k of ['exclusiveWith', 'atLeastOneOf', 'uniqueWith']) if (field[k]) out[k] = list(field[k])
+  return out
+}
+
+function conditionMet(cond, row) {
+  if (!cond?.field || !required(row[cond.field])) return false
+  if (cond.equals === undefined) return true
+  const allowed = (Array.isArray(cond.equals) ? cond.equals : [cond.equals]).map(v => String(v).trim())
+  return allowed.includes(String(row[cond.field]).trim())
+}
+
+function describeCondition(cond) {
+  if (cond.equals === undefined) return `"${cond.field}" is filled`
+  const values = Array.isArray(cond.equals) ? cond.equals.join(', ') : cond.equals
+  return `"${cond.field}" is ${Array.isArray(cond.equals) ? `one of ${values}` : values}`
+}
+
+// Numbers and dates compare by value (dates as timestamps), anything else as
+// trimmed text; null when the value can't be read as its type.
+function comparable(value, field) {
+  if (!required(value)) return null
+  if (field.type === 'number' || field.type === 'currency') {
+    const n = coerceType(value, field.type, field)
+    return Number.isFinite(n) ? n : null
+  }
+  if (field.type === 'date') {
+    const iso = parseDate(value, field)
+    return iso === null ? null : isoTime(iso)
+  }
+  return String(value).trim()
+}
+
+function compareErrors(field, row, schema) {
+  const errors = []
+  for (const { op, field: other } of field.compare || []) {
+    if (!COMPARE[op] || !other) continue
+    const a = comparable(row[field.name], field)
+    const b = comparable(row[other], schema.find(f => f.name === other) || field)
+    if (a === null || b === null || typeof a !== typeof b || COMPARE[op](a, b)) continue
+    errors.push(cellError(field, 'compare', `must be ${op} "${other}" (${row[other]})`, row[field.name], `${op} ${other}`))
+  }
+  return errors
+}
+
+function groupErrors(field, row) {
+  const errors = []
+  const raw = row[field.name]
+  if (Array.isArray(field.exclusiveWith) && field.exclusiveWith.length) {
+    const filled = [field.name, ...field.exclusiveWith].filter(n => required(row[n]))
+    if (filled.length > 1) {
+      const others = filled.filter(n => n !== field.name).map(n => `"${n}"`).join(', ')
+      const message = required(raw) ? `cannot be filled together with ${others}` : `group allows one value but ${others} are filled`
+      errors.push(cellError(field, 'exclusive', message, raw ?? '', `only one of ${[field.name, ...field.exclusiveWith].join(', ')}`))
+    }
+  }
+  if (Array.isArray(field.atLeastOneOf) && field.atLeastOneOf.length) {
+    const members = [field.name, ...field.atLeastOneOf]
+    if (!members.some(n => required(row[n]))) {
+      errors.push(cellError(field, 'at_least_one', `or one of ${field.atLeastOneOf.map(n => `"${n}"`).join(', ')} must be filled`, raw ?? '', `one of ${members.join(', ')}`))
     }
-    if (field.type === 'currency' && required(raw) && !isCurrency(raw)) {
-      errors.push(`Field "${field.name}" must be currency/number`)
+  }
+  return errors
+}
+
+// Uniqueness checks as { id, field, columns }: `unique` fields on their own
+// and `uniqueWith` composite keys. `id` names the check in ctx.seen; errors
+// are reported on `field`.
+export function uniqueChecks(schema) {
+  const checks = []
+  for (const f of schema) {
+    if (f.unique) checks.push({ id: f.name, field: f, columns: [f.name] })
+    if (Array.isArray(f.uniqueWith) && f.uniqueWith.length) {
+      const columns = [f.name, ...f.uniqueWith]
+      checks.push({ id: columns.join('+'), field: f, columns })
     }
-    if (field.type === 'email' && required(raw) && !isEmail(raw)) {
-      errors.push(`Field "${field.name}" must be a valid email`)
+  }
+  return checks
+}
+
+// Key compared by a check; null when the cells are empty (empty cells never
+// clash). Composite keys only need one filled part.
+export function uniqueValue(row, check) {
+  if (check.columns.length === 1) {
+    const v = row[check.columns[0]]
+    return required(v) ? String(v).trim() : null
+  }
+  const parts = check.columns.map(c => (required(row[c]) ? String(row[c]).trim() : ''))
+  return parts.some(Boolean) ? JSON.stringify(parts) : null
+}
+
+const checksCache = new WeakMap()
+
+function cachedChecks(schema) {
+  if (!checksCache.has(schema)) checksCache.set(schema, uniqueChecks(schema))
+  return checksCache.get(schema)
+}
+
+function uniqueError(check, row, ctx) {
+  const field = check.field
+  const key = uniqueValue(row, check)
+  if (key === null) return null
+  if (!ctx.seen.has(check.id)) ctx.seen.set(check.id, new Map())
+  const values = ctx.seen.get(check.id)
+  if (!values.has(key)) {
+    values.set(key, ctx.rowIndex)
+    return null
+  }
+  const first = values.get(key)
+  const raw = row[field.name]
+  if (check.columns.length === 1) {
+    return cellError(field, 'unique', `must be unique (duplicate of row ${first})`, raw, `unique (first seen in row ${first})`)
+  }
+  const others = check.columns.slice(1).map(c => `"${c}"`).join(', ')
+  return cellError(field, 'unique', `together with ${others} must be unique (duplicate of row ${first})`, raw, `unique ${check.columns.join(' + ')} (first seen in row ${first})`)
+}
+
+// Validates one row against the schema (array of {name, type, required, ...constraints}).
+// Uniqueness needs state across rows: pass ctx.seen (a Map reused for the whole
+// dataset) and ctx.rowIndex.
+export function validateRow(row, schema, ctx = {}) {
+  const errors = []
+  const checks = ctx.seen ? cachedChecks(schema) : []
+  for (const field of schema) {
+    if (!Object.hasOwn(row, field.name)) {
+      errors.push({ column: field.name, code: 'missing_column', message: `Missing column: ${field.name}`, value: null, expected: 'column present' })
+      continue
     }
-    if (field.type === 'boolean' && required(raw) && !isBoolean(raw)) {
-      errors.push(`Field "${field.name}" must be boolean (true/false/1/0)`)
+    const raw = row[field.name]
+
+    if (field.required && !required(raw)) {
+      errors.push(cellError(field, 'required', 'is required', raw ?? '', 'a value'))
+      continue
     }
-    if (field.type === 'date' && required(raw) && !isDate(raw)) {
-      errors.push(`Field "${field.name}" must be a valid date`)
+    if (field.requiredIf && !required(raw) && conditionMet(field.requiredIf, row)) {
+      errors.push(cellError(field, 'required_if', `is required when ${describeCondition(field.requiredIf)}`, raw ?? '', 'a value'))
+      continue
     }
+
+    const typeErr = typeError(field, raw)
+    if (typeErr) errors.push(typeErr)
+    errors.push(...constraintErrors(field, raw))
+    errors.push(...foreignKeyErrors(field, raw))
+    errors.push(...compareErrors(field, row, schema))
+    errors.push(...groupErrors(field, row))
   }
-  return errors
+  for (const check of checks) {
+    const err = uniqueError(check, row, ctx)
+    if (err) errors.push(err)
+  }
+  const rowIndex = ctx.rowIndex ?? null
+  return errors.map(e => ({ row: rowIndex, ...e }))
+}
+
+// Columns with at least one error in a row's error list, for per-column
+// counts. A missing column isn't a failing cell, so it is left out.
+export function failingColumns(errors) {
+  return new Set(errors.filter(e => e.code !== 'missing_column').map(e => e.column))
 }
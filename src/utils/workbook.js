@@ -0,0 +1,61 @@
+// Helpers for turning a spreadsheet (array of arrays from SheetJS) into the
+// same { fields, rows } shape the CSV path produces.
+
+export const WORKBOOK_EXTENSIONS = ['.xlsx', '.xls', '.xlsm', '.ods']
+
+export function isWorkbookFile(file) {
+  const name = String(file?.name || '').toLowerCase()
+  return WORKBOOK_EXTENSIONS.some(ext => name.endsWith(ext))
+}
+
+const pad = n => String(n).padStart(2, '0')
+
+// Native date cells become ISO strings: date-only when there is no time of
+// day, a full timestamp otherwise. Numbers and booleans are kept as-is.
+export function normalizeCell(v) {
+  if (v instanceof Date) {
+    if (Number.isNaN(v.getTime())) return ''
+    if (!v.getHours() && !v.getMinutes() && !v.getSeconds() && !v.getMilliseconds()) {
+      return `${v.getFullYear()}-${pad(v.getMonth() + 1)}-${pad(v.getDate())}`
+    }
+    if (!v.getUTCHours() && !v.getUTCMinutes() && !v.getUTCSeconds() && !v.getUTCMilliseconds()) {
+      return `${v.getUTCFullYear()}-${pad(v.getUTCMonth() + 1)}-${pad(v.getUTCDate())}`
+    }
+    return v.toISOString()
+  }
+  if (v === null || v === undefined) return ''
+  return v
+}
+
+// headerRow is 1-based; rows above it are skipped. Blank header cells get
+// generated names and duplicates are suffixed like PapaParse does (_1, _2);
+// `blank` (indices) and `renamed` ({ new: original }) feed headerIssues().
+export function sheetToRows(aoa, headerRow = 1) {
+  const start = Math.max(0, headerRow - 1)
+  const headerCells = aoa[start] || []
+  const counts = new Map()
+  const blank = []
+  const renamed = {}
+  const fields = headerCells.map((h, i) => {
+    let base = String(normalizeCell(h)).trim()
+    if (!base) {
+      base = `column_${i + 1}`
+      blank.push(i)
+    }
+    const n = counts.get(base) || 0
+    counts.set(base, n + 1)
+    if (!n) return base
+    renamed[`${base}_${n}`] = base
+    return `${base}_${n}`
+  })
+
+  const rows = []
+  for (let r = start + 1; r < aoa.length; r++) {
+    const cells = aoa[r] || []
+    if (cells.every(c => c === '' || c === null || c === undefined)) continue
+    const row = {}
+    fields.forEach((f, i) => { row[f] = normalizeCell(cells[i]) })
+    rows.push(row)
+  }
+  return { fields, rows, blank, renamed }
+}
@@ -0,0 +1,463 @@
+import Papa from 'papaparse'
+import * as XLSX from 'xlsx'
+import { failingColumns, uniqueChecks, uniqueValue, validateRow } from '../utils/validators.js'
+import { isWorkbookFile, sheetToRows } from '../utils/workbook.js'
+import { prepareRow } from '../utils/transforms.js'
+import { columnName, detectDelimiter, headerIssues, headerlessRecord, looksBinary, outputColumns, parseConfig, parseCSV } from '../utils/csv.js'
+import { buildRecords, exportKeys, findPathConflicts } from '../utils/exporters.js'
+import { findKeyCollisions } from '../utils/keys.js'
+import { serializeRecords } from '../utils/serializers.js'
+import { buildView } from '../utils/grid.js'
+import { findReplace, fixColumn } from '../utils/edits.js'
+import { partitionRows, quarantineCSV } from '../utils/quarantine.js'
+import { profileColumns } from '../utils/profile.js'
+import { dateFormatSuggestions, inferSchemaFromData } from '../utils/inference.js'
+import { batchErrorsCSV, entryNames, headerDrift, mergeBatch } from '../utils/batch.js'
+import { zipFiles } from '../utils/zip.js'
+import { decodeBytes, decodedStream, detectEncoding, encodingWarnings, SAMPLE_BYTES, scanText } from '../utils/encoding.js'
+import { schemaForHeaders, validateRows } from '../core/index.js'
+
+// Parses and validates CSV files and spreadsheets off the main thread.
+//
+// Messages in:
+//   { type: 'parse', file, encoding, delimiter, settings, schema, gen }  (settings: DEFAULT_PARSE_SETTINGS shape)
+//   { type: 'workbook', file, gen }                       -> replies 'sheets'
+//   { type: 'sheet', name, headerRow, schema, gen }
+//   { type: 'validate', schema, gen }
+//   { type: 'cancel' }
+//   { type: 'clear', gen }                                -> drops the rows
+//   { type: 'batch', files: [{ file, source }], settings, schema, gen } -> replies 'batchFile' per file, then 'batchDone'
+//   { type: 'batchExport', mode: 'merged' | 'zip', typed, emptyAs, nested, keyPolicy, suffixKeys, gen } -> replies 'batchOutput'
+// Requests about the loaded rows, answered with { type: 'reply', id, result }
+// or { type: 'reply', id, error }:
+//   { type: 'page', id, query, offset, limit, find }      -> { total, offset, at, rows: [{ index, row }] }
+//                                                            (query: buildView options without rowErrors)
+//   { type: 'edit', id, op: 'cell' | 'fix' | 'replace', schema, gen, ... } -> { cells }, then 'revalidated'
+//   { type: 'export', id, options, format, formatOptions, quarantine } -> { text, mime, ext, valid, invalid, quarantine }
+//   { type: 'csv', id, fields, delimiter }               -> CSV text of the edited rows
+//   { type: 'profile', id, headers }                      -> profileColumns result
+//   { type: 'infer', id, headers }                        -> inferSchemaFromData result
+//   { type: 'dates', id, schema }                         -> dateFormatSuggestions result
+// Messages out:
+//   { type: 'sheets', names, gen }
+//   { type: 'chunk', gen, rowCount, parseErrors, cursor, size }
+//   { type: 'parsed', gen, fields, delimiter, rowCount, aborted, warnings }  (warnings: encoding and header problems)
+//   { type: 'validation', gen, entries, columnCounts, processed, total, done }
+//   { type: 'revalidated', gen, entries }  (entries with no errors mean "now valid")
+//   { type: 'batchFile', gen, summary }  (summary.error set when the file could not be read)
+//   { type: 'batchDone', gen }
+//   { type: 'batchOutput', gen, mode, data }  (data: JSON text or zip bytes)
+//   { type: 'error', gen, message }  (gen of the request that failed)
+//
+// The parsed rows live only here. Schema edits re-validate them in place,
+// and the grid, edits and exports ask for what they need.
+
+const CHUNK_SIZE = 1024 * 1024 * 2
+const VALIDATE_BATCH = 5000
+
+let rows = []
+let fields = []
+let cancelled = false
+let currentGen = 0
+let parseGen = 0 // gen of the parse or sheet load that owns `rows`; a newer one makes older chunks stale
+let rowErrors = new Map() // row index -> errors, failing rows only
+let view = null // { key, indices }: the last grid view, until rows or errors change
+let seen = new Map() // keys of unique checks for the current validation run
+let uniqueIndex = new Map() // unique check id -> key -> ascending row indices, for patches
+let delimiter = ''
+let stream = null // decodedStream of the CSV being parsed
+let parser = null // Papa's handle for that parse
+let workbook = null
+let batch = [] // [{ source, fields, rows, schema, report }] from the last batch run
+let batchGen = 0
+
+// entries: [{ index, errors }] for failing rows only; columnCounts counts
+// failing cells (not errors) per column.
+function validateSlice(from, to, schema) {
+  const entries = []
+  const columnCounts = {}
+  const checks = uniqueChecks(schema)
+  view = null
+  for (let i = from; i < to; i++) {
+    const row = prepareRow(rows[i], schema)
+    for (const c of checks) indexUnique(c.id, uniqueValue(row, c), i + 1)
+    const errors = validateRow(row, schema, { seen, rowIndex: i + 1 })
+    if (!errors.length) { rowErrors.delete(i + 1); continue }
+    rowErrors.set(i + 1, errors)
+    entries.push({ index: i + 1, errors })
+    for (const column of failingColumns(errors)) columnCounts[column] = (columnCounts[column] || 0) + 1
+  }
+  return { entries, columnCounts }
+}
+
+function indexUnique(name, key, index) {
+  if (key === null) return
+  if (!uniqueIndex.has(name)) uniqueIndex.set(name, new Map())
+  const byKey = uniqueIndex.get(name)
+  const list = byKey.get(key)
+  if (!list) { byKey.set(key, [index]); return }
+  let at = list.length
+  while (at > 0 && list[at - 1] > index) at--
+  list.splice(at, 0, index)
+}
+
+function unindexUnique(name, key, index) {
+  const list = key === null ? null : uniqueIndex.get(name)?.get(key)
+  if (!list) return
+  const at = list.indexOf(index)
+  if (at !== -1) list.splice(at, 1)
+  if (!list.length) uniqueIndex.get(name).delete(key)
+}
+
+// Applies edited rows and re-validates only what they can affect: the rows
+// themselves plus, for unique checks, every row sharing an old or new key.
+function patch({ updates, schema, gen }) {
+  const checks = uniqueChecks(schema)
+  const touched = new Set()
+  view = null
+  for (const { index, row } of updates) {
+    const before = prepareRow(rows[index - 1], schema)
+    rows[index - 1] = row
+    const after = prepareRow(row, schema)
+    touched.add(index)
+    for (const c of checks) {
+      const oldKey = uniqueValue(before, c)
+      const newKey = uniqueValue(after, c)
+      if (oldKey === newKey) continue
+      for (const i of uniqueIndex.get(c.id)?.get(oldKey) || []) touched.add(i)
+      unindexUnique(c.id, oldKey, index)
+      indexUnique(c.id, newKey, index)
+      for (const i of uniqueIndex.get(c.id)?.get(newKey) || []) touched.add(i)
+    }
+  }
+
+  const entries = [...touched].sort((a, b) => a - b).map(index => {
+    const row = prepareRow(rows[index - 1], schema)
+    // Seed `seen` with the first occurrence only when it precedes this row,
+    // so the duplicate message matches what a full run would produce.
+    const rowSeen = new Map()
+    for (const c of checks) {
+      const key = uniqueValue(row, c)
+      const first = key === null ? null : uniqueIndex.get(c.id)?.get(key)?.[0]
+      rowSeen.set(c.id, new Map(first != null && first < index ? [[key, first]] : []))
+    }
+    const errors = validateRow(row, schema, { seen: rowSeen, rowIndex: index })
+    if (errors.length) rowErrors.set(index, errors)
+    else rowErrors.delete(index)
+    return { index, errors }
+  })
+  self.postMessage({ type: 'revalidated', gen, entries })
+}
+
+function parse({ file, encoding, delimiter: requested, settings, schema, gen }) {
+  rows = []
+  fields = []
+  rowErrors = new Map()
+  view = null
+  cancelled = false
+  currentGen = gen
+  parseGen = gen
+  seen = new Map()
+  uniqueIndex = new Map()
+  delimiter = requested
+  stopParse()
+  const issues = scanText('')
+  const input = stream = decodedStream(file, encoding, { chunkSize: CHUNK_SIZE, onText: text => scanText(text, issues) })
+  const blank = new Set()
+  const config = parseConfig(settings, blank)
+  let width = 0 // widest row, for headerless files
+  let warnings = []
+
+  Papa.parse(input, {
+    ...config,
+    delimiter: requested,
+    chunk: (results, handle) => {
+      if (gen !== parseGen) { handle.abort(); return }
+      parser = handle
+      if (cancelled) { handle.abort(); return }
+      if (!delimiter) delimiter = results.meta?.delimiter || ''
+      if (config.header && !fields.length) {
+        fields = results.meta?.fields || []
+        warnings = headerIssues(fields, { blank, renamed: results.meta?.renamedHeaders })
+      }
+      if (!config.header) {
+        results.data = results.data.map(values => {
+          width = Math.max(width, values.length)
+          return headerlessRecord(values)
+        })
+      }
+
+      const offset = rows.length
+      for (const r of results.data) rows.push(r)
+
+      const parseErrors = (results.errors || []).map(e =>
+        `Parse error (row ${e.row != null ? e.row + offset + 1 : '?'}): ${e.message}`
+      )
+      self.postMessage({ type: 'chunk', gen, rowCount: rows.length, parseErrors, cursor: input.bytesRead, size: file.size })
+
+      const { entries, columnCounts } = validateSlice(offset, rows.length, schema)
+      self.postMessage({
+        type: 'validation', gen, entries, columnCounts,
+        processed: rows.length, total: rows.length, done: false,
+      })
+    },
+    complete: () => {
+      input.destroy()
+      if (gen !== parseGen) return
+      parser = null
+      if (!config.header) fields = Array.from({ length: width }, (_, i) => columnName(i))
+      warnings.push(...encodingWarnings(issues, encoding))
+      self.postMessage({ type: 'parsed', gen, fields, delimiter, rowCount: rows.length, aborted: cancelled, warnings })
+      self.postMessage({
+        type: 'validation', gen, entries: [], columnCounts: {},
+        processed: rows.length, total: rows.length, done: true,
+      })
+    },
+    error: (err) => {
+      if (gen === parseGen) self.postMessage({ type: 'error', gen, message: `Parse error: ${err.message}` })
+    },
+  })
+}
+
+// Stops reading the CSV being parsed, if any. Its callbacks check parseGen,
+// which the caller has already moved on, so nothing more is posted for it.
+function stopParse() {
+  stream?.destroy()
+  stream = null
+  const handle = parser
+  parser = null
+  handle?.abort()
+}
+
+// Drops the loaded rows, e.g. when the app is cleared.
+function clear({ gen }) {
+  currentGen = gen
+  parseGen = gen
+  stopParse()
+  rows = []
+  fields = []
+  rowErrors = new Map()
+  view = null
+  seen = new Map()
+  uniqueIndex = new Map()
+}
+
+async function openWorkbook({ file, gen }) {
+  rows = []
+  fields = []
+  rowErrors = new Map()
+  view = null
+  currentGen = gen
+  parseGen = gen
+  stopParse()
+  try {
+    const buf = await file.arrayBuffer()
+    workbook = XLSX.read(buf, { type: 'array', cellDates: true, dense: true })
+    self.postMessage({ type: 'sheets', names: workbook.SheetNames, gen })
+  } catch (err) {
+    workbook = null
+    self.postMessage({ type: 'error', gen, message: `Could not read workbook: ${err.message}` })
+  }
+}
+
+// Loads one sheet and feeds it through the same chunk/parsed/validation
+// messages as a CSV parse, so the main thread needs no special casing.
+function loadSheet({ name, headerRow, schema, gen }) {
+  const ws = workbook?.Sheets[name]
+  if (!ws) {
+    self.postMessage({ type: 'error', gen, message: `Sheet "${name}" not found` })
+    return
+  }
+  const aoa = XLSX.utils.sheet_to_json(ws, { header: 1, raw: true, defval: '', blankrows: false })
+  const sheet = sheetToRows(aoa, headerRow)
+  parseGen = gen
+  stopParse()
+  rows = sheet.rows
+  fields = sheet.fields
+  rowErrors = new Map()
+  view = null
+  delimiter = ''
+  const warnings = headerIssues(fields, sheet)
+
+  self.postMessage({ type: 'chunk', gen, rowCount: rows.length, parseErrors: [], cursor: rows.length, size: rows.length })
+  self.postMessage({ type: 'parsed', gen, fields, delimiter, rowCount: rows.length, aborted: false, warnings })
+  validate({ schema, gen })
+}
+
+// Re-validates in batches, yielding between them so a newer request (schema
+// edited again) supersedes this one instead of queueing behind it.
+async function validate({ schema, gen }) {
+  currentGen = gen
+  seen = new Map()
+  uniqueIndex = new Map()
+  rowErrors = new Map()
+  view = null
+  for (let from = 0; from < rows.length || from === 0; from += VALIDATE_BATCH) {
+    if (gen !== currentGen) return
+    const to = Math.min(from + VALIDATE_BATCH, rows.length)
+    const { entries, columnCounts } = validateSlice(from, to, schema)
+    const done = to >= rows.length
+    self.postMessage({ type: 'validation', gen, entries, columnCounts, processed: to, total: rows.length, done })
+    if (done) return
+    await new Promise(resolve => setTimeout(resolve, 0))
+  }
+}
+
+async function readBatchFile(file, settings) {
+  if (isWorkbookFile(file)) {
+    const wb = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true, dense: true })
+    const ws = wb.Sheets[wb.SheetNames[0]]
+    if (!ws) throw new Error('the workbook has no sheets')
+    const aoa = XLSX.utils.sheet_to_json(ws, { header: 1, raw: true, defval: '', blankrows: false })
+    const sheet = sheetToRows(aoa, 1)
+    return { ...sheet, errors: headerIssues(sheet.fields, sheet) }
+  }
+  const bytes = new Uint8Array(await file.slice(0, SAMPLE_BYTES).arrayBuffer())
+  const { encoding } = detectEncoding(bytes)
+  const sample = decodeBytes(bytes, encoding)
+  if (looksBinary(sample)) throw new Error('does not look like a text/CSV file')
+  const delim = settings?.delimiter || detectDelimiter(sample, settings)
+  const parsed = await parseCSV(decodedStream(file, encoding, { chunkSize: CHUNK_SIZE }), { delimiter: delim, settings })
+  return { ...parsed, encoding }
+}
+
+// Files are read and validated one after another; each is matched to the
+// schema on its own headers (exact names and aliases). Workbooks use their
+// first sheet with headers on row 1.
+async function runBatch({ files, settings, schema, gen }) {
+  batchGen = gen
+  batch = []
+  for (const { file, source } of files) {
+    if (gen !== batchGen) return
+    let summary
+    try {
+      const { fields: fileFields, rows: fileRows, errors, encoding } = await readBatchFile(file, settings)
+      const fileSchema = schemaForHeaders(schema, fileFields)
+      const { report, columnCounts } = validateRows(fileRows, fileSchema)
+      if (gen !== batchGen) return
+      batch.push({ source, fields: fileFields, rows: fileRows, schema: fileSchema, report })
+      summary = {
+        source,
+        rowCount: fileRows.length,
+        invalidRows: report.length,
+        errorCount: report.reduce((n, r) => n + r.errors.length, 0),
+        columnCounts,
+        parseErrors: errors.length,
+        encoding,
+        ...headerDrift(fileFields, schema),
+      }
+    } catch (err) {
+      summary = { source, error: err.message }
+    }
+    self.postMessage({ type: 'batchFile', gen, summary })
+    await new Promise(resolve => setTimeout(resolve, 0))
+  }
+  self.postMessage({ type: 'batchDone', gen })
+}
+
+// merged: one JSON array, each record tagged with its file in `_source`.
+// zip: one JSON file per input plus errors.csv for the whole batch.
+function batchExport({ mode, typed, emptyAs, nested, keyPolicy, suffixKeys, gen }) {
+  if (!batch.length) {
+    self.postMessage({ type: 'error', gen, message: 'No batch results to export; run the batch first.' })
+    return
+  }
+  const built = []
+  for (const f of batch) {
+    const columns = outputColumns(f.fields, f.schema)
+    const keys = exportKeys({ schema: f.schema, columns, typed, nested, keyPolicy, suffixKeys })
+    const conflicts = nested ? findPathConflicts(keys) : findKeyCollisions(keys)
+    if (conflicts.length) {
+      self.postMessage({ type: 'error', gen, message: `${f.source}: ${nested ? 'nested export conflict' : 'key collision'}: ${conflicts[0]}` })
+      return
+    }
+    built.push({ source: f.source, records: buildRecords(f.rows, { schema: f.schema, columns, typed, emptyAs, nested, keyPolicy, suffixKeys }) })
+  }
+  if (mode === 'merged') {
+    self.postMessage({ type: 'batchOutput', gen, mode, data: JSON.stringify(mergeBatch(built), null, 2) })
+    return
+  }
+  const names = entryNames(built.map(b => b.source), 'json')
+  const bytes = zipFiles([
+    ...built.map((b, i) => ({ name: names[i], data: JSON.stringify(b.records, null, 2) })),
+    { name: 'errors.csv', data: batchErrorsCSV(batch) },
+  ])
+  self.postMessage({ type: 'batchOutput', gen, mode, data: bytes }, [bytes.buffer])
+}
+
+function reply(id, answer) {
+  try {
+    self.postMessage({ type: 'reply', id, result: answer() })
+  } catch (err) {
+    self.postMessage({ type: 'reply', id, error: err.message })
+  }
+}
+
+function reportEntries() {
+  return [...rowErrors].map(([index, errors]) => ({ index, errors }))
+}
+
+// One page of the grid. With `find` (a row index) it is the page holding
+// that row instead of the one at `offset`; `at` is -1 when the view hides it.
+function page({ query, offset, limit, find }) {
+  const key = JSON.stringify(query)
+  if (view?.key !== key) view = { key, indices: buildView(rows, { ...query, rowErrors }) }
+  const { indices } = view
+  const at = find ? indices.indexOf(find) : -1
+  const from = at === -1 ? offset : at - (at % limit)
+  return {
+    total: indices.length,
+    offset: from,
+    at,
+    rows: indices.slice(from, from + limit).map(index => ({ index, row: rows[index - 1] })),
+  }
+}
+
+// Cell edits, "fix this column" and find/replace. The changed rows are
+// re-validated through patch, which posts 'revalidated'.
+function edit({ op, schema, gen, ...args }) {
+  let result
+  if (op === 'cell') {
+    const { index, column, value } = args
+    result = { updates: new Map([[index, { ...rows[index - 1], [column]: value }]]), cells: 1 }
+  } else if (op === 'fix') {
+    result = fixColumn(rows, reportEntries(), args.column, args.fix)
+  } else {
+    result = findReplace(rows, args.columns, args.options)
+  }
+  const { updates, cells } = result
+  if (updates.size) patch({ updates: [...updates].map(([index, row]) => ({ index, row })), schema, gen })
+  return { cells }
+}
+
+// The rows as records in `format`. With `quarantine` ({ headers, delimiter })
+// only valid rows are exported and the invalid ones come back as a CSV.
+function exportRows({ options, format, formatOptions, quarantine }) {
+  const { valid, invalid } = quarantine ? partitionRows(rows, reportEntries()) : { valid: rows, invalid: [] }
+  const output = serializeRecords(buildRecords(valid, options), format, formatOptions)
+  return {
+    ...output,
+    valid: valid.length,
+    invalid: invalid.length,
+    quarantine: quarantine && invalid.length ? quarantineCSV(invalid, quarantine.headers, quarantine.delimiter) : null,
+  }
+}
+
+self.onmessage = (e) => {
+  const msg = e.data
+  if (msg.type === 'parse') parse(msg)
+  if (msg.type === 'validate') validate(msg)
+  if (msg.type === 'workbook') openWorkbook(msg)
+  if (msg.type === 'sheet') loadSheet(msg)
+  if (msg.type === 'cancel') cancelled = true
+  if (msg.type === 'clear') clear(msg)
+  if (msg.type === 'batch') runBatch(msg)
+  if (msg.type === 'batchExport') batchExport(msg)
+  if (msg.type === 'page') reply(msg.id, () => page(msg))
+  if (msg.type === 'edit') reply(msg.id, () => edit(msg))
+  if (msg.type === 'export') reply(msg.id, () => exportRows(msg))
+  if (msg.type === 'csv') reply(msg.id, () => Papa.unparse({ fields: msg.fields, data: rows }, { delimiter: msg.delimiter, newline: '\r\n' }))
+  if (msg.type === 'profile') reply(msg.id, () => profileColumns(rows, msg.headers))
+  if (msg.type === 'infer') reply(msg.id, () => inferSchemaFromData(rows, msg.headers))
+  if (msg.type === 'dates') reply(msg.id, () => dateFormatSuggestions(rows, msg.schema))
+}
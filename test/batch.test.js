@@ -0,0 +1,26 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { batchErrorsCSV, entryNames, headerDrift, mergeBatch, SOURCE_FIELD } from '../src/utils/batch.js'
+
+test('mergeBatch tags records with their file, over any _source column', () => {
+  const merged = mergeBatch([
+    { source: 'north/a.csv', records: [{ id: 1 }, { id: 2, [SOURCE_FIELD]: 'spoofed' }] },
+    { source: 'south/a.csv', records: [{ id: 3 }] },
+  ])
+  assert.deepEqual(merged.map(r => r[SOURCE_FIELD]), ['north/a.csv', 'north/a.csv', 'south/a.csv'])
+  assert.deepEqual(merged.map(r => r.id), [1, 2, 3])
+})
+
+test('entryNames keeps folders and numbers clashes', () => {
+  assert.deepEqual(entryNames(['north/a.csv', 'south/a.csv', 'a.csv', 'a.tsv'], 'json'), ['north/a.json', 'south/a.json', 'a.json', 'a_2.json'])
+})
+
+test('headerDrift lists missing fields and extra headers', () => {
+  const schema = [{ name: 'email', aliases: ['E-Mail'] }, { name: 'age' }, { name: 'total', expression: 'num(age)' }]
+  assert.deepEqual(headerDrift(['E-Mail', 'city'], schema), { missing: ['age'], extra: ['city'] })
+})
+
+test('batchErrorsCSV prefixes each error line with its file', () => {
+  const csv = batchErrorsCSV([{ source: 'a.csv', report: [{ index: 2, errors: [{ column: 'age', code: 'type', value: 'x', message: 'bad', expected: 'number' }] }] }])
+  assert.equal(csv, 'file,row,column,code,value,error,expected\na.csv,2,age,type,x,bad,number')
+})
@@ -0,0 +1,101 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawnSync } from 'node:child_process'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { convertRows, errorsCSV, schemaForHeaders, validateRow, validateRows } from '../src/core/index.js'
+
+const CLI = fileURLToPath(new URL('../bin/csv2json.js', import.meta.url))
+
+const schema = [
+  { name: 'email', type: 'email', required: true, aliases: ['E-Mail'] },
+  { name: 'age', type: 'number' },
+]
+
+test('schemaForHeaders applies aliases before validation', () => {
+  const fileSchema = schemaForHeaders(schema, ['E-Mail', 'age'])
+  assert.equal(fileSchema[0].name, 'E-Mail')
+  const { report, columnCounts } = validateRows([{ 'E-Mail': 'a@b.co', age: '3' }, { 'E-Mail': 'nope', age: 'x' }], fileSchema)
+  assert.deepEqual(report.map(r => r.index), [2])
+  assert.deepEqual(columnCounts, { 'E-Mail': 1, age: 1 })
+})
+
+test('convertRows serializes typed records', () => {
+  const rows = [{ email: 'a@b.co', age: '30' }, { email: 'c@d.co', age: '' }]
+  const { text, ext } = convertRows(rows, { schema, columns: ['email', 'age'], format: 'ndjson' })
+  assert.equal(ext, 'ndjson')
+  assert.deepEqual(text.trim().split('\n').map(l => JSON.parse(l)), [{ email: 'a@b.co', age: 30 }, { email: 'c@d.co', age: null }])
+})
+
+test('validateRow reports missing columns, required and type errors', () => {
+  const schema = [
+    { name: 'name', type: 'string', required: true },
+    { name: 'age', type: 'number' },
+    { name: 'email', type: 'email' },
+  ]
+  const codes = row => validateRow(row, schema).map(e => `${e.column}:${e.code}`)
+  assert.deepEqual(codes({ name: 'Ann', age: '30', email: 'ann@example.com' }), [])
+  assert.deepEqual(codes({ name: '', age: 'x', email: 'ann@example.com' }), ['name:required', 'age:type'])
+  assert.deepEqual(codes({ name: 'Ann', age: '' }), ['email:missing_column'])
+  assert.deepEqual(validateRow({}, [{ name: 'toString', type: 'string' }]).map(e => e.code), ['missing_column'])
+})
+
+test('errorsCSV writes one line per error', () => {
+  const csv = errorsCSV([{ index: 3, errors: [{ column: 'age', code: 'type', value: 'x', message: 'age must be a number', expected: 'number' }] }])
+  assert.equal(csv.split(/\r?\n/).length, 2)
+  assert.match(csv, /^row,column,code,value,error,expected/)
+  assert.match(csv, /3,age,type,x,age must be a number,number/)
+})
+
+function runCLI(args, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv2json-'))
+  try {
+    for (const [name, data] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), data)
+    const result = spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: 'utf8' })
+    const out = fs.existsSync(path.join(dir, 'out.json')) ? fs.readFileSync(path.join(dir, 'out.json'), 'utf8') : null
+    return { ...result, out }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+test('the CLI exports valid input and exits 0', () => {
+  const { status, stdout } = runCLI(['in.csv', '--schema', 'schema.json', '--keys', 'snake'], {
+    'in.csv': 'E-Mail,age,Home Town\na@b.co,30,Oslo\n',
+    'schema.json': JSON.stringify(schema),
+  })
+  assert.equal(status, 0)
+  assert.deepEqual(JSON.parse(stdout), [{ email: 'a@b.co', age: 30, home_town: 'Oslo' }])
+})
+
+test('the CLI exits 1 on validation errors and 2 on usage errors', () => {
+  const files = { 'in.csv': 'email,age\nnope,x\n', 'schema.json': JSON.stringify(schema) }
+  const failed = runCLI(['in.csv', '--schema', 'schema.json', '--out', 'out.json'], files)
+  assert.equal(failed.status, 1)
+  assert.equal(failed.out, null)
+  assert.match(failed.stderr, /row/i)
+  assert.equal(runCLI(['missing.csv', '--schema', 'schema.json'], files).status, 2)
+  assert.equal(runCLI(['in.csv', '--keys', 'shouty'], files).status, 2)
+})
+
+test('the CLI reads Windows-1252 input', () => {
+  const { status, stdout } = runCLI(['in.csv', '--untyped'], { 'in.csv': Buffer.from([0x6e, 0x61, 0x6d, 0x65, 0x0a, 0x4a, 0x6f, 0x73, 0xe9, 0x0a]) })
+  assert.equal(status, 0)
+  assert.deepEqual(JSON.parse(stdout), [{ name: 'José' }])
+})
+
+test('the CLI transforms columns that --select leaves out', () => {
+  const schema = [
+    { name: 'first', type: 'string', transforms: [{ op: 'trim' }, { op: 'upper' }] },
+    { name: 'last', type: 'string' },
+    { name: 'full', type: 'string', expression: 'first + " " + last' },
+  ]
+  const { status, stdout } = runCLI(['in.csv', '--schema', 'schema.json', '--select', 'full'], {
+    'in.csv': 'first,last\n  ann ,Lee\n',
+    'schema.json': JSON.stringify(schema),
+  })
+  assert.equal(status, 0)
+  assert.deepEqual(JSON.parse(stdout), [{ full: 'ANN Lee' }])
+})
@@ -0,0 +1,36 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { detectDelimiter, headerIssues, parseCSV } from '../src/utils/csv.js'
+
+test('detectDelimiter ignores delimiters inside quotes', () => {
+  assert.equal(detectDelimiter('name;note\n"Smith, J.";"a, b, c"\nLee;x\n'), ';')
+  assert.equal(detectDelimiter('a\tb\tc\n1\t2\t3\n'), '\t')
+  assert.equal(detectDelimiter('a|b\n"multi\nline, with, commas"|2\n'), '|')
+})
+
+test('detectDelimiter honours skipped rows and comments', () => {
+  const sample = 'Report, generated today, v2\n# a, b, c\nid;name\n1;Ann\n2;Bob\n'
+  assert.equal(detectDelimiter(sample, { skipRows: 1, comments: '#' }), ';')
+})
+
+test('parseCSV reads headers, skipped rows, comments and trimming', async () => {
+  const text = 'Title line\nid, name\n# comment\n1, Ann \n\n2,Bob\n'
+  const { fields, rows, errors, delimiter } = await parseCSV(text, { settings: { skipRows: 1, comments: '#', trim: true } })
+  assert.equal(delimiter, ',')
+  assert.deepEqual(fields, ['id', 'name'])
+  assert.deepEqual(rows, [{ id: '1', name: 'Ann' }, { id: '2', name: 'Bob' }])
+  assert.deepEqual(errors, [])
+})
+
+test('parseCSV names headerless columns by position', async () => {
+  const { fields, rows } = await parseCSV('1,Ann\n2,Bob,extra\n', { settings: { header: false } })
+  assert.deepEqual(fields, ['column_1', 'column_2', 'column_3'])
+  assert.deepEqual(rows[1], { column_1: '2', column_2: 'Bob', column_3: 'extra' })
+})
+
+test('parseCSV reports blank and repeated headers', async () => {
+  const { fields, errors } = await parseCSV('id,,Notes,Notes\n1,2,3,4\n')
+  assert.deepEqual(fields, ['id', 'column_2', 'Notes', 'Notes_1'])
+  assert.equal(errors.length, 2)
+  assert.deepEqual(headerIssues(['a', 'column_2'], { blank: [1] }), ['Column 2 has a blank header; it is read as "column_2".'])
+})
@@ -0,0 +1,70 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { formatDateParts, isoTime, parseDateWithFormat, toISOFromParts } from '../src/utils/dates.js'
+import { isDate, parseDate } from '../src/utils/validators.js'
+import { dateFormatSuggestions } from '../src/utils/inference.js'
+
+test('parseDateWithFormat reads day-first and month-first patterns', () => {
+  assert.deepEqual(parseDateWithFormat('03/04/2024', 'dd/MM/yyyy'), { year: 2024, month: 4, day: 3, hour: 0, minute: 0, second: 0, hasTime: false })
+  assert.equal(parseDateWithFormat('03/04/2024', 'MM/dd/yyyy').month, 3)
+  assert.equal(parseDateWithFormat('1.2.24', 'd.M.yy').year, 2024)
+  assert.equal(parseDateWithFormat('1.2.85', 'd.M.yy').year, 1985)
+})
+
+test('parseDateWithFormat rejects impossible dates and times', () => {
+  assert.equal(parseDateWithFormat('29/02/2023', 'dd/MM/yyyy'), null)
+  assert.ok(parseDateWithFormat('29/02/2024', 'dd/MM/yyyy'))
+  assert.equal(parseDateWithFormat('01/13/2024', 'dd/MM/yyyy'), null)
+  assert.equal(parseDateWithFormat('2024-01-01 24:00', 'yyyy-MM-dd HH:mm'), null)
+  assert.equal(parseDateWithFormat('2024-01-01', 'dd/MM/yyyy'), null)
+})
+
+test('formatDateParts and toISOFromParts round-trip', () => {
+  const parts = parseDateWithFormat('2024-03-04 09:05', 'yyyy-MM-dd HH:mm')
+  assert.equal(formatDateParts(parts, 'd.M.yy H:mm'), '4.3.24 9:05')
+  assert.equal(toISOFromParts(parts), '2024-03-04T09:05:00')
+  assert.equal(toISOFromParts(parseDateWithFormat('04.03.2024', 'dd.MM.yyyy')), '2024-03-04')
+})
+
+test('parseDate emits ISO 8601 from the parsed parts', () => {
+  assert.equal(parseDate('2024-03-04'), '2024-03-04')
+  assert.equal(parseDate('2024-03-04 10:00'), '2024-03-04T10:00:00')
+  assert.equal(parseDate('2024-03-04T10:00:05.250Z'), '2024-03-04T10:00:05.250Z')
+  assert.equal(parseDate('2024-03-04T10:00+0100'), '2024-03-04T10:00:00+01:00')
+  assert.equal(parseDate('04.03.2024 10:00', { format: 'dd.MM.yyyy HH:mm' }), '2024-03-04T10:00:00')
+})
+
+test('parseDate without a format accepts only ISO 8601', () => {
+  assert.equal(parseDate('March 4, 2024'), null)
+  assert.equal(parseDate('03/04/2024'), null)
+  assert.equal(parseDate('2024-02-30'), null)
+  assert.equal(parseDate('2024-03-04T10:00+25:00'), null)
+  assert.equal(isDate('03/04/2024', { format: 'dd/MM/yyyy' }), true)
+  assert.equal(isDate('2024-03-04', { format: 'dd/MM/yyyy' }), false)
+})
+
+test('parseDate and isoTime do not depend on the local timezone', () => {
+  const before = process.env.TZ
+  const results = []
+  try {
+    for (const tz of ['UTC', 'Europe/Berlin', 'America/Los_Angeles', 'Asia/Kolkata']) {
+      process.env.TZ = tz
+      results.push([parseDate('2024-03-04 10:00'), isoTime(parseDate('2024-03-04 10:00')), isoTime('2024-03-04')])
+    }
+  } finally {
+    if (before === undefined) delete process.env.TZ
+    else process.env.TZ = before
+  }
+  for (const r of results) assert.deepEqual(r, results[0])
+  assert.equal(results[0][1], Date.UTC(2024, 2, 4, 10))
+})
+
+test('dateFormatSuggestions names a format for non-ISO dates in fields without one', () => {
+  const rows = [{ d: '31/03/2024', iso: '2024-03-31' }, { d: '2024-01-02', iso: '' }]
+  assert.deepEqual(dateFormatSuggestions(rows, [{ name: 'd', type: 'date' }, { name: 'iso', type: 'date' }]), [
+    { column: 'd', example: '31/03/2024', format: 'dd/MM/yyyy', ambiguous: false },
+  ])
+  assert.equal(dateFormatSuggestions([{ d: '01/02/2024' }], [{ name: 'd', type: 'date' }])[0].ambiguous, true)
+  assert.deepEqual(dateFormatSuggestions(rows, [{ name: 'd', type: 'date', format: 'dd/MM/yyyy' }]), [])
+  assert.deepEqual(dateFormatSuggestions([{ d: 'soon' }], [{ name: 'd', type: 'date' }]), [])
+})
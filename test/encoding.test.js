@@ -0,0 +1,18 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { decodeBytes, detectEncoding, scanText } from '../src/utils/encoding.js'
+
+test('detectEncoding recognises BOMs, UTF-8 and Windows-1252', () => {
+  assert.equal(detectEncoding(new Uint8Array([0xef, 0xbb, 0xbf, 0x61])).encoding, 'utf-8')
+  assert.equal(detectEncoding(new Uint8Array([0xff, 0xfe, 0x61, 0x00])).encoding, 'utf-16le')
+  assert.equal(detectEncoding(new TextEncoder().encode('José')).encoding, 'utf-8')
+  const latin = new Uint8Array([0x4a, 0x6f, 0x73, 0xe9, 0x2c, 0x31])
+  assert.equal(detectEncoding(latin).encoding, 'windows-1252')
+  assert.equal(decodeBytes(latin, 'windows-1252'), 'José,1')
+})
+
+test('scanText counts mojibake and replacement characters', () => {
+  const issues = scanText('JosÃ© and caf�')
+  assert.equal(issues.mojibake, 1)
+  assert.equal(issues.replacement, 1)
+})
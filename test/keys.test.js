@@ -0,0 +1,51 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { applyKeyPolicy, convertKey, findKeyCollisions } from '../src/utils/keys.js'
+import { buildRecords, exportKeys, findPathConflicts } from '../src/utils/exporters.js'
+import { toKeyedMap } from '../src/utils/serializers.js'
+
+test('convertKey renames under each policy', () => {
+  const key = 'Amount Spent (USD)'
+  assert.equal(convertKey(key, 'asis'), key)
+  assert.equal(convertKey(key, 'camel'), 'amountSpentUsd')
+  assert.equal(convertKey(key, 'snake'), 'amount_spent_usd')
+  assert.equal(convertKey(key, 'kebab'), 'amount-spent-usd')
+  assert.equal(convertKey(key, 'slug'), 'Amount_Spent_USD')
+  assert.equal(convertKey('userID', 'snake'), 'user_id')
+  assert.equal(convertKey('Straße', 'slug'), 'Strasse')
+  assert.equal(convertKey('???', 'camel'), '???')
+})
+
+test('applyKeyPolicy numbers colliding keys only when asked', () => {
+  const keys = [{ source: 'Notes', key: 'Notes' }, { source: 'notes', key: 'notes' }, { source: 'NOTES ', key: 'NOTES ' }]
+  assert.deepEqual(applyKeyPolicy(keys, 'snake').map(k => k.key), ['notes', 'notes', 'notes'])
+  assert.deepEqual(applyKeyPolicy(keys, 'snake', { suffix: true }).map(k => k.key), ['notes', 'notes_2', 'notes_3'])
+  assert.deepEqual(applyKeyPolicy(keys, 'camel', { suffix: true }).map(k => k.key), ['notes', 'notes2', 'notes3'])
+  assert.deepEqual(applyKeyPolicy(keys, 'kebab', { suffix: true }).map(k => k.key), ['notes', 'notes-2', 'notes-3'])
+  assert.deepEqual(applyKeyPolicy([{ source: 'Home Address.Zip Code', key: 'Home Address.Zip Code' }], 'camel', { nested: true })[0].key, 'homeAddress.zipCode')
+})
+
+test('findKeyCollisions names the columns that would merge', () => {
+  assert.deepEqual(findKeyCollisions([{ source: 'a', key: 'x' }, { source: 'b', key: 'y' }]), [])
+  assert.deepEqual(findKeyCollisions([{ source: 'First Name', key: 'first_name' }, { source: 'first-name', key: 'first_name' }]), [
+    '"First Name" and "first-name" both become "first_name"',
+  ])
+})
+
+test('buildRecords writes the keys exportKeys reports', () => {
+  const schema = [{ name: 'User ID', type: 'number' }, { name: 'address.city', type: 'string' }]
+  const columns = ['User ID', 'address.city']
+  const rows = [{ 'User ID': '7', 'address.city': 'Oslo' }]
+  const flat = buildRecords(rows, { schema, columns, typed: true, keyPolicy: 'camel' })
+  assert.deepEqual(flat, [{ userId: 7, addressCity: 'Oslo' }])
+  assert.deepEqual(exportKeys({ schema, columns, typed: true, keyPolicy: 'camel' }).map(k => k.key), Object.keys(flat[0]))
+  const nested = buildRecords(rows, { schema, columns, typed: true, nested: true, keyPolicy: 'snake' })
+  assert.deepEqual(nested, [{ user_id: 7, address: { city: 'Oslo' } }])
+  assert.deepEqual({ ...toKeyedMap(flat, 'userId') }, { 7: { userId: 7, addressCity: 'Oslo' } })
+})
+
+test('findPathConflicts catches a value and an object at the same path', () => {
+  const keys = [{ source: 'a', key: 'a' }, { source: 'a.b', key: 'a.b' }]
+  assert.equal(findPathConflicts(keys).length, 1)
+  assert.deepEqual(findPathConflicts([{ source: 'a.b', key: 'a.b' }, { source: 'a.c', key: 'a.c' }]), [])
+})
@@ -0,0 +1,30 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { ERRORS_COLUMN, partitionRows, quarantineCSV, thresholdError } from '../src/utils/quarantine.js'
+
+test('partitionRows splits rows by the 1-based report', () => {
+  const rows = [{ a: '1' }, { a: 'x' }, { a: '3' }]
+  const errors = [{ message: 'Wrong type' }]
+  const { valid, invalid } = partitionRows(rows, [{ index: 2, errors }])
+  assert.deepEqual(valid, [{ a: '1' }, { a: '3' }])
+  assert.deepEqual(invalid, [{ index: 2, row: { a: 'x' }, errors }])
+})
+
+test('thresholdError compares against a percentage or a count', () => {
+  assert.equal(thresholdError(5, 100, { mode: 'percent', value: 5 }), null)
+  assert.match(thresholdError(6, 100, { mode: 'percent', value: 5 }), /6\.00% of rows are invalid/)
+  assert.equal(thresholdError(3, 10, { mode: 'count', value: 3 }), null)
+  assert.match(thresholdError(4, 10, { mode: 'count', value: 3 }), /4 invalid rows/)
+  assert.match(thresholdError(1, 10, { mode: 'count', value: 0 }), /above the threshold of 0/)
+})
+
+test('thresholdError treats an empty value as no threshold', () => {
+  assert.equal(thresholdError(10, 10, { mode: 'percent', value: '' }), null)
+  assert.equal(thresholdError(10, 10, { mode: 'count', value: null }), null)
+  assert.equal(thresholdError(10, 10, null), null)
+})
+
+test('quarantineCSV keeps the original columns and adds the errors', () => {
+  const csv = quarantineCSV([{ index: 2, row: { a: 'x', b: '' }, errors: [{ message: 'Wrong type' }, { message: 'Required' }] }], ['a', 'b'])
+  assert.equal(csv, `a,b,${ERRORS_COLUMN}\r\nx,,Wrong type | Required`)
+})
@@ -0,0 +1,26 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { changedKeys, describeValue, diffSchemas } from '../src/utils/schemaDiff.js'
+
+test('changedKeys ignores key order inside values', () => {
+  assert.deepEqual(changedKeys({ name: 'a', type: 'string', enum: ['x'] }, { name: 'a', type: 'string', enum: ['x'] }), [])
+  assert.deepEqual(changedKeys({ name: 'a', requiredIf: { field: 'b', equals: 1 } }, { name: 'a', requiredIf: { equals: 1, field: 'b' } }), [])
+  assert.deepEqual(changedKeys({ name: 'a', type: 'string', required: true }, { name: 'a', type: 'email', min: 1 }), ['min', 'required', 'type'])
+})
+
+test('diffSchemas classifies fields by name', () => {
+  const before = [{ name: 'id', type: 'number' }, { name: 'email', type: 'string' }, { name: 'old', type: 'string' }]
+  const after = [{ name: 'email', type: 'email', required: true }, { name: 'id', type: 'number' }, { name: 'new', type: 'date' }]
+  const { rows, counts, reordered } = diffSchemas(before, after)
+  assert.deepEqual(rows.map(r => [r.name, r.status]), [['id', 'same'], ['email', 'changed'], ['old', 'removed'], ['new', 'added']])
+  assert.deepEqual(rows[1].keys, ['required', 'type'])
+  assert.deepEqual(counts, { added: 1, removed: 1, changed: 1, same: 1 })
+  assert.equal(reordered, true)
+  assert.equal(diffSchemas(before, before).reordered, false)
+})
+
+test('describeValue prints lists and objects compactly', () => {
+  assert.equal(describeValue(['a', 'b']), 'a, b')
+  assert.equal(describeValue({ field: 'x' }), '{"field":"x"}')
+  assert.equal(describeValue(true), 'true')
+})
@@ -0,0 +1,25 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { serializeRecords, toKeyedMap } from '../src/utils/serializers.js'
+
+test('toKeyedMap keys records by a column', () => {
+  const map = toKeyedMap([{ id: 'a', n: 1 }, { id: 'b', n: 2 }], 'id')
+  assert.deepEqual(Object.keys(map), ['a', 'b'])
+  assert.throws(() => toKeyedMap([{ id: 'a' }, { id: 'a' }], 'id'), /Duplicate key "a"/)
+  assert.throws(() => toKeyedMap([{ id: '' }], 'id'), /key column "id" is empty/)
+  assert.throws(() => toKeyedMap([{ id: 'a' }], ''), /Choose a key column/)
+})
+
+test('toKeyedMap stores keys named like Object.prototype members', () => {
+  const records = [{ id: '__proto__', n: 1 }, { id: 'constructor', n: 2 }, { id: 'toString', n: 3 }]
+  const { text } = serializeRecords(records, 'keyed', { keyColumn: 'id' })
+  const parsed = JSON.parse(text)
+  assert.deepEqual(Object.keys(parsed), ['__proto__', 'constructor', 'toString'])
+  assert.equal(Object.getOwnPropertyDescriptor(parsed, '__proto__').value.n, 1)
+})
+
+test('serializeRecords writes NDJSON one record per line', () => {
+  const { text, ext } = serializeRecords([{ a: 1 }, { a: 2 }], 'ndjson')
+  assert.equal(ext, 'ndjson')
+  assert.deepEqual(text.trim().split('\n').map(l => JSON.parse(l)), [{ a: 1 }, { a: 2 }])
+})
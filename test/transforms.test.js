@@ -0,0 +1,53 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { compileExpression, prepareRow } from '../src/utils/transforms.js'
+import { applyLocale, validateRow } from '../src/utils/validators.js'
+
+test('prepareRow leaves columns the row lacks absent', () => {
+  const schema = [{ name: 'city', type: 'string', required: true, transforms: [{ op: 'trim' }] }]
+  assert.deepEqual(prepareRow({ city: '  Oslo ' }, schema), { city: 'Oslo' })
+  const row = prepareRow({ other: 'x' }, schema)
+  assert.equal('city' in row, false)
+  assert.deepEqual(validateRow(row, schema).map(e => e.code), ['missing_column'])
+})
+
+test('prepareRow ignores names inherited from Object.prototype', () => {
+  const schema = [
+    { name: 'toString', type: 'string', transforms: [{ op: 'upper' }] },
+    { name: 'label', expression: 'coalesce(constructor, "none")' },
+  ]
+  const out = prepareRow({ other: 'x' }, schema)
+  assert.equal(Object.hasOwn(out, 'toString'), false)
+  assert.equal(out.label, 'none')
+  assert.equal(prepareRow({ toString: 'abc' }, schema).toString, 'ABC')
+})
+
+test('prepareRow returns rows untouched when no field has a pipeline', () => {
+  const row = { a: '1' }
+  assert.equal(prepareRow(row, [{ name: 'a', type: 'number' }]), row)
+})
+
+test('computed fields evaluate expressions over other columns', () => {
+  const schema = [
+    { name: 'full', expression: 'first + " " + upper(last)' },
+    { name: 'total', expression: 'num(qty) * num(price)' },
+    { name: 'pick', expression: 'coalesce(nick, first)' },
+  ]
+  const out = prepareRow({ first: 'Ada', last: 'Lovelace', nick: '', qty: '3', price: '$2.50' }, schema)
+  assert.equal(out.full, 'Ada LOVELACE')
+  assert.equal(out.total, 7.5)
+  assert.equal(out.pick, 'Ada')
+})
+
+test('num() reads numbers with the field or global locale', () => {
+  const schema = applyLocale(
+    [{ name: 'total', type: 'number', expression: 'num(qty) * num(price)' }],
+    { decimal: ',', thousands: '.', currencySymbols: ['CHF'] },
+  )
+  assert.equal(prepareRow({ qty: '2', price: 'CHF 1.234,50' }, schema).total, 2469)
+  assert.equal(prepareRow({ qty: '2', price: '1,5' }, [{ name: 't', decimal: ',', expression: 'num(qty) * num(price)' }]).t, 3)
+})
+
+test('compileExpression rejects unknown functions', () => {
+  assert.throws(() => compileExpression('nope(a)'), /Unknown function nope/)
+})
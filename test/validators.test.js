@@ -0,0 +1,50 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { applyLocale, coerceType, parseCurrency, parseNumber } from '../src/utils/validators.js'
+
+test('parseNumber follows the field separators', () => {
+  assert.equal(parseNumber('1234.5'), 1234.5)
+  assert.equal(parseNumber('1.234,56', { decimal: ',' }), 1234.56)
+  assert.equal(parseNumber('1 234,5', { decimal: ',', thousands: ' ' }), 1234.5)
+  assert.equal(parseNumber('1,234.5', { decimal: '.', thousands: ',' }), 1234.5)
+  assert.equal(parseNumber('-1.234.567,8', { decimal: ',' }), -1234567.8)
+  assert.equal(parseNumber('1\u00a0234,5', { decimal: ',', thousands: ' ' }), 1234.5)
+  assert.ok(Number.isNaN(parseNumber('1.5', { decimal: ',' })))
+  assert.ok(Number.isNaN(parseNumber('12.34', { decimal: ',' })))
+  assert.ok(Number.isNaN(parseNumber('1.2345,6', { decimal: ',' })))
+  assert.ok(Number.isNaN(parseNumber('1,23.4', { decimal: '.', thousands: ',' })))
+  assert.ok(Number.isNaN(parseNumber('1.5', { decimal: ',', thousands: ' ' })))
+  assert.ok(Number.isNaN(parseNumber('12abc', { decimal: ',' })))
+})
+
+test('parseCurrency strips default or configured symbols', () => {
+  assert.equal(parseCurrency('$1,200.50'), 1200.5)
+  assert.equal(parseCurrency('€ 3'), 3)
+  assert.equal(parseCurrency('CHF 1.234,50', { currencySymbols: ['CHF'], decimal: ',' }), 1234.5)
+  assert.ok(Number.isNaN(parseCurrency('CHF 10')))
+})
+
+test('coerceType applies the schema type', () => {
+  assert.equal(coerceType('42', 'number'), 42)
+  assert.equal(coerceType('', 'number'), null)
+  assert.equal(coerceType('1.234,5', 'number', { decimal: ',' }), 1234.5)
+  assert.equal(coerceType('03/04/2024', 'date', { format: 'dd/MM/yyyy' }), '2024-04-03')
+  assert.equal(coerceType('not a date', 'date'), 'not a date')
+})
+
+test('applyLocale fills only unset settings the type uses', () => {
+  const schema = [
+    { name: 'price', type: 'currency' },
+    { name: 'qty', type: 'number', decimal: '.' },
+    { name: 'day', type: 'date' },
+    { name: 'note', type: 'string' },
+    { name: 'total', type: 'string', expression: 'num(price)' },
+  ]
+  const out = applyLocale(schema, { decimal: ',', currencySymbols: ['CHF'], format: 'dd.MM.yyyy' })
+  assert.deepEqual(out[0], { name: 'price', type: 'currency', decimal: ',', currencySymbols: ['CHF'] })
+  assert.equal(out[1].decimal, '.')
+  assert.equal(out[2].format, 'dd.MM.yyyy')
+  assert.equal(out[3], schema[3])
+  assert.deepEqual(out[4], { ...schema[4], decimal: ',', currencySymbols: ['CHF'] })
+  assert.equal(applyLocale(schema, {}), schema)
+})
@@ -0,0 +1,48 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { crc32, zipFiles } from '../src/utils/zip.js'
+
+// Entry names and contents read back through the central directory.
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const end = bytes.length - 22
+  assert.equal(view.getUint32(end, true), 0x06054b50)
+  const count = view.getUint16(end + 10, true)
+  let pos = view.getUint32(end + 16, true)
+  const decoder = new TextDecoder()
+  const entries = []
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(pos, true), 0x02014b50)
+    const crc = view.getUint32(pos + 16, true)
+    const size = view.getUint32(pos + 24, true)
+    const nameLength = view.getUint16(pos + 28, true)
+    const extra = view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true)
+    const local = view.getUint32(pos + 42, true)
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength))
+    assert.equal(view.getUint32(local, true), 0x04034b50)
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true)
+    const data = bytes.subarray(start, start + size)
+    assert.equal(crc32(data), crc)
+    entries.push({ name, text: decoder.decode(data) })
+    pos += 46 + nameLength + extra
+  }
+  return entries
+}
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(new TextEncoder().encode('123456789')), 0xcbf43926)
+  assert.equal(crc32(new Uint8Array()), 0)
+})
+
+test('zipFiles stores every entry with UTF-8 names', () => {
+  const bytes = zipFiles([
+    { name: 'a/data.json', data: '[{"x":1}]' },
+    { name: 'zürich.json', data: new TextEncoder().encode('{}') },
+    { name: 'errors.csv', data: '' },
+  ])
+  assert.deepEqual(readZip(bytes), [
+    { name: 'a/data.json', text: '[{"x":1}]' },
+    { name: 'zürich.json', text: '{}' },
+    { name: 'errors.csv', text: '' },
+  ])
+})